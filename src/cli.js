@@ -7,6 +7,23 @@ import path from 'path';
 import { AccountManager } from './core/accounts.js';
 import { ParallelRunner } from './core/parallel-runner.js';
 import { AutoRunner } from './core/auto-runner.js';
+import { JobManager } from './core/jobs.js';
+import { ImageUploader } from './core/uploader.js';
+import { CooldownScheduler } from './core/cooldown.js';
+import { UsageLedger } from './core/usage-ledger.js';
+import {
+  resolveTargets,
+  resolveGenerationOptions,
+  resolveSuccessTarget,
+  resolveModerationPolicy,
+  resolveRetryPolicy,
+  resolveAccounts,
+  resolveMaxRelaunches,
+  resolveRateLimitWait,
+  resolveAdaptiveParallelism,
+  countTargetItems,
+  formatDurationLabel,
+} from './core/job-plan.js';
 import config from './config.js';
 
 const program = new Command();
@@ -43,6 +60,56 @@ async function getCodeVersionLabel() {
   return 'unknown';
 }
 
+/**
+ * Collect repeatable --var name=value1|value2 options into a variables object
+ */
+function collectVariable(value, previous = {}) {
+  const separator = value.indexOf('=');
+  if (separator <= 0) {
+    throw new Error(`Invalid --var "${value}". Use name=value or name=value1|value2`);
+  }
+  const name = value.slice(0, separator).trim();
+  const values = value.slice(separator + 1).split('|').map(v => v.trim());
+  return { ...previous, [name]: values.length === 1 ? values[0] : values };
+}
+
+/**
+ * Collect repeatable --video-option name=label options into a videoOptions object
+ */
+function collectVideoOption(value, previous = {}) {
+  const separator = value.indexOf('=');
+  if (separator <= 0) {
+    throw new Error(`Invalid --video-option "${value}". Use name=label, e.g. mode=Normal`);
+  }
+  return { ...previous, [value.slice(0, separator).trim()]: value.slice(separator + 1).trim() };
+}
+
+/**
+ * Drop accounts that need a new login (see AccountManager.unhealthyAccounts) from a run's pool
+ * @returns {Promise<string[]>} Accounts the run can use
+ * @throws {Error} If none is left
+ */
+async function skipUnhealthyAccounts(accountManager, aliases) {
+  const unhealthy = await accountManager.unhealthyAccounts(aliases);
+  for (const { alias, reason } of unhealthy) {
+    console.log(chalk.yellow(`⚠️  Skipping account ${alias}: ${reason}`));
+  }
+  if (unhealthy.length === aliases.length) {
+    throw new Error(
+      `${aliases.length > 1 ? 'No account of the pool is' : `Account ${aliases[0]} is not`} logged in. ` +
+      `Run "grok-batch accounts relogin <alias>" (or "accounts verify <alias>" if it was logged in elsewhere).`
+    );
+  }
+  return aliases.filter(alias => !unhealthy.some(entry => entry.alias === alias));
+}
+
+/**
+ * Collect repeatable --tag/--untag options (comma-separated values allowed) into a list
+ */
+function collectTags(value, previous = []) {
+  return [...previous, ...value.split(',').map(tag => tag.trim()).filter(Boolean)];
+}
+
 program
   .name('grok-batch')
   .description('Local batch image-to-video generator for Grok Imagine')
@@ -56,10 +123,40 @@ const accounts = program.command('accounts').description('Manage account profile
 accounts
   .command('add <alias>')
   .description('Add a new account by logging in via browser')
-  .action(async (alias) => {
+  .option('--tag <tag>', 'Tag the account (repeatable)', collectTags)
+  .option('--tier <tier>', 'Subscription tier (e.g. free, supergrok)')
+  .option('--notes <text>', 'Free-form notes')
+  .action(async (alias, options) => {
     try {
       const manager = new AccountManager();
       await manager.addAccount(alias);
+      await manager.updateMetadata(alias, { addTags: options.tag, tier: options.tier, notes: options.notes });
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+accounts
+  .command('export <alias> <file>')
+  .description('Export an account session (cookies + localStorage) as a Playwright storage state file')
+  .action(async (alias, file) => {
+    try {
+      const manager = new AccountManager();
+      await manager.exportAccount(alias, file);
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+accounts
+  .command('import <alias> <file>')
+  .description('Add an account from a storage state file (no Chrome install or interactive login needed)')
+  .action(async (alias, file) => {
+    try {
+      const manager = new AccountManager();
+      await manager.importAccount(alias, file);
     } catch (error) {
       console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
       process.exit(1);
@@ -69,10 +166,107 @@ accounts
 accounts
   .command('list')
   .description('List all configured accounts')
-  .action(async () => {
+  .option('--tag <tag>', 'Only accounts with this tag')
+  .option('--tier <tier>', 'Only accounts on this subscription tier')
+  .action(async (options) => {
+    try {
+      const manager = new AccountManager();
+      await manager.listAccounts({ tag: options.tag, tier: options.tier });
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+accounts
+  .command('set <alias>')
+  .description('Set tags, notes and subscription tier of an account')
+  .option('--tag <tag>', 'Add a tag (repeatable)', collectTags)
+  .option('--untag <tag>', 'Remove a tag (repeatable)', collectTags)
+  .option('--tier <tier>', 'Subscription tier ("" to clear)')
+  .option('--notes <text>', 'Notes ("" to clear)')
+  .action(async (alias, options) => {
+    try {
+      const manager = new AccountManager();
+      await manager.updateMetadata(alias, {
+        addTags: options.tag,
+        removeTags: options.untag,
+        tier: options.tier,
+        notes: options.notes,
+      });
+      console.log(chalk.green(`\n✓ Account "${alias}" updated\n`));
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+accounts
+  .command('verify [alias]')
+  .description('Check headlessly that accounts are still logged in')
+  .option('--all', 'Verify every account (or those matching --tag/--tier)')
+  .option('--tag <tag>', 'With --all: only accounts with this tag')
+  .option('--tier <tier>', 'With --all: only accounts on this subscription tier')
+  .action(async (alias, options) => {
     try {
       const manager = new AccountManager();
-      await manager.listAccounts();
+      if (!alias && !options.all) {
+        throw new Error('Specify an account alias or --all');
+      }
+      const aliases = alias ? [alias] : await manager.findAccounts({ tag: options.tag, tier: options.tier });
+      if (aliases.length === 0) {
+        throw new Error('No accounts to verify');
+      }
+
+      console.log(chalk.blue(`\nVerifying ${aliases.length} account(s)...\n`));
+      const results = await manager.verifyAccounts(aliases);
+      const failed = results.filter(r => !r.authenticated).length;
+      console.log('');
+      if (failed > 0) {
+        console.log(chalk.red(`${failed} of ${results.length} account(s) need attention\n`));
+        process.exit(1);
+      }
+      console.log(chalk.green(`All ${results.length} account(s) logged in\n`));
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+accounts
+  .command('relogin <alias>')
+  .description('Reopen an account\'s browser profile to log in again (no profile copy)')
+  .action(async (alias) => {
+    try {
+      const manager = new AccountManager();
+      await manager.relogin(alias);
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+accounts
+  .command('rename <alias> <newAlias>')
+  .description('Rename an account and move its profile, session and usage history')
+  .action(async (alias, newAlias) => {
+    try {
+      const manager = new AccountManager();
+      await manager.renameAccount(alias, newAlias);
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+accounts
+  .command('remove <alias>')
+  .description('Remove an account and delete its profile, worker profiles and session file')
+  .option('--keep-files', 'Only remove the account from the list; keep its files in profiles/')
+  .action(async (alias, options) => {
+    try {
+      const manager = new AccountManager();
+      await manager.removeAccount(alias, { keepFiles: options.keepFiles });
     } catch (error) {
       console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
       process.exit(1);
@@ -88,17 +282,41 @@ run
   .command('start')
   .description('Start a new batch generation run')
   .option('--config <path>', 'Load config from JSON file')
-  .option('--account <alias>', 'Account alias to use')
-  .option('--permalink <url>', 'Grok image permalink URL')
+  .option('--account <alias>', 'Account alias to use (comma-separated for an account pool, or "accounts" in config file)')
+  .option('--account-tag <tag>', 'Use every account with this tag as the account pool')
+  .option('--permalink <url>', 'Grok image permalink URL (or "permalinks" list in config file)')
   .option('--prompt <text>', 'Prompt for video generation')
-  .option('--count <number>', 'Number of videos to generate', String(config.DEFAULT_BATCH_SIZE))
+  .option('--prompts-file <path>', 'Text file with one prompt per line ("<count> | <prompt>" overrides count)')
+  .option('--var <name=values>', 'Template variable for {name} in prompts (repeatable; "a|b" for a wildcard list)', collectVariable)
+  .option('--template-mode <mode>', 'Template expansion: exhaustive (every combination) or random (sample per video)')
+  .option('--template-seed <number>', 'Seed for random template sampling (recorded in the manifest)')
+  .option('--count <number>', 'Number of videos to generate (per prompt)', String(config.DEFAULT_BATCH_SIZE))
+  .option('--target-successes', 'Treat --count as the number of successful videos wanted; replace failed attempts')
+  .option('--max-attempts <number>', 'Cap on attempts per prompt with --target-successes (default: 3x count)')
+  .option('--duration <value>', 'Video duration: seconds (e.g. 6), max, min or default (default: max)')
+  .option('--video-option <name=label>', 'Other "Video Options" menu choice, e.g. mode=Normal (repeatable)', collectVideoOption)
+  .option('--strict-options', 'Fail items when a requested option is unavailable or the video duration does not match')
+  .option('--moderation-retries <number>', 'Retry a moderated video up to N times (see "moderation" in config files)')
+  .option('--max-relaunches <number>', `Browser relaunches per worker after crashes or hung pages (default: ${config.WORKER_MAX_RELAUNCHES})`)
+  .option('--skip-post-on-interrupt', 'On Ctrl-C, don\'t download/upscale/delete the videos that are finishing')
+  .option('--wait-for-account', 'Wait for accounts in use by another run instead of failing')
+  .option('--wait-on-rate-limit', 'On a rate limit, wait for the reset and resume the job automatically')
+  .option('--rate-limit-cooldown <minutes>', 'Wait when the rate-limit message has no reset time (default: 180)')
+  .option('--wait-deadline <time>', 'Stop waiting for rate limits after this date-time (or number of hours)')
+  .option('--ignore-cooldown', 'Start even if every account is still inside its observed rate-limit cooldown')
   .option('--job-name <name>', 'Custom job name (default: auto-generated)')
   .option('--parallel <count>', 'Number of parallel workers (1-100)', '1')
+  .option('--adaptive', 'Start with few workers and adjust to the error rate and latency (--parallel is the ceiling)')
   .option('--auto-download', 'Automatically download generated videos', true)
   .option('--auto-upscale', 'Automatically upscale videos to HD (requires --auto-download)', true)
   .option('--auto-delete', 'Automatically delete videos after download (requires --auto-download)', false)
   .action(async (options) => {
     try {
+      // CLI paths are relative to cwd; config file paths are relative to the config file
+      if (options.promptsFile) {
+        options.promptsFile = path.resolve(options.promptsFile);
+      }
+
       // Load config file if specified
       if (options.config) {
         console.log(chalk.gray(`Loading config from: ${options.config}\n`));
@@ -112,9 +330,18 @@ run
         const autoDownloadWasDefault = options.autoDownload === true;
         const autoUpscaleWasDefault = options.autoUpscale === true;
         const autoDeleteWasDefault = options.autoDelete === false;
+        const accountWasSet = options.account !== undefined || options.accountTag !== undefined;
 
         options = { ...configData, ...options };
 
+        // --account / --account-tag on the CLI replaces the config file's account pool
+        if (accountWasSet) {
+          delete options.accounts;
+          if (options.account !== undefined) {
+            delete options.accountTag;
+          }
+        }
+
         // If parallel wasn't explicitly set on CLI, use config value
         if (parallelWasDefault && configData.parallel !== undefined) {
           options.parallel = configData.parallel;
@@ -141,6 +368,14 @@ run
         }
       }
 
+      // CLI --var values extend/override config file variables
+      if (options.var) {
+        options.variables = { ...options.variables, ...options.var };
+      }
+      if (options.videoOption) {
+        options.videoOptions = { ...options.videoOptions, ...options.videoOption };
+      }
+
       // Validate auto-upscale requires auto-download
       if (options.autoUpscale && !options.autoDownload) {
         throw new Error('--auto-upscale requires --auto-download to be enabled');
@@ -151,45 +386,118 @@ run
         throw new Error('--auto-delete requires --auto-download to be enabled');
       }
 
+      // --account-tag (or "accountTag" in config file) selects the pool by tag
+      if (options.accountTag) {
+        const tagged = await new AccountManager().findAccounts({ tag: options.accountTag });
+        if (tagged.length === 0) {
+          throw new Error(`No accounts tagged "${options.accountTag}" (see "accounts set <alias> --tag")`);
+        }
+        options.accounts = tagged;
+        delete options.account;
+      }
+
       // Validate required fields
-      if (!options.account) {
-        throw new Error('--account is required (or specify in config file)');
+      if (!options.account && !options.accounts) {
+        throw new Error('--account is required (or --account-tag, or account/accounts in config file)');
       }
-      if (!options.permalink) {
-        throw new Error('--permalink is required (or specify in config file)');
+      let accountAliases = resolveAccounts(options);
+      if (!options.permalink && !options.permalinks && !options.matrix && !options.imageStage) {
+        throw new Error('--permalink is required (or permalink/permalinks/matrix/imageStage in config file)');
       }
-      if (!options.prompt) {
-        throw new Error('--prompt is required (or specify in config file)');
+      if (!options.prompt && !options.prompts && !options.promptsFile && !options.permalinks && !options.matrix) {
+        throw new Error('--prompt or --prompts-file is required (or prompt/prompts/promptsFile in config file)');
       }
 
-      // Validate inputs
-      const batchSize = parseInt(options.count, 10);
-      if (isNaN(batchSize) || batchSize < 1 || batchSize > 1000) {
-        throw new Error('Count must be between 1 and 1000');
-      }
+      // Validate inputs (permalinks, prompts, matrix and counts)
+      const targets = await resolveTargets(options, {
+        baseDir: options.config ? path.dirname(path.resolve(options.config)) : process.cwd(),
+      });
+      const batchSize = countTargetItems(targets);
+      const promptCount = targets.reduce((sum, target) => sum + target.prompts.length, 0);
+      const generationOptions = resolveGenerationOptions(options);
+      const successTarget = resolveSuccessTarget(options);
+      const moderation = resolveModerationPolicy(options);
+      const retryPolicy = resolveRetryPolicy(options);
+      const maxRelaunches = resolveMaxRelaunches(options);
+      const rateLimitWait = resolveRateLimitWait(options);
 
       const parallelism = parseInt(options.parallel, 10);
       if (isNaN(parallelism) || parallelism < 1 || parallelism > 100) {
         throw new Error('Parallel must be between 1 and 100');
       }
+      const adaptive = resolveAdaptiveParallelism(options);
 
-      if (!options.permalink.includes('grok.com/imagine')) {
-        throw new Error('Permalink must be a Grok Imagine URL');
-      }
-
-      // Check if account exists
+      // Check if accounts exist
       const accountManager = new AccountManager();
-      const exists = await accountManager.accountExists(options.account);
-      if (!exists) {
-        throw new Error(`Account "${options.account}" not found. Run "grok-batch accounts add ${options.account}" first.`);
+      for (const alias of accountAliases) {
+        if (!await accountManager.accountExists(alias)) {
+          throw new Error(`Account "${alias}" not found. Run "grok-batch accounts add ${alias}" first.`);
+        }
+      }
+      accountAliases = await skipUnhealthyAccounts(accountManager, accountAliases);
+
+      // Accounts rate limited recently (usage ledger) would likely hit the limit again
+      const usageLedger = new UsageLedger();
+      await usageLedger.load();
+      const coolingDown = usageLedger.coolingDown(accountAliases);
+      for (const { account, until, rateLimit } of coolingDown) {
+        console.log(chalk.yellow(
+          `⚠️  Account ${account} was rate limited at ${new Date(rateLimit.at).toLocaleString()} ` +
+          `(after ${rateLimit.attempts} attempts), cooling down until ${until.toLocaleString()}`
+        ));
+      }
+      if (coolingDown.length === accountAliases.length && !options.ignoreCooldown) {
+        throw new Error(
+          `${accountAliases.length > 1 ? 'All accounts are' : `Account ${accountAliases[0]} is`} still cooling down ` +
+          `from a rate limit. Use --ignore-cooldown to start anyway.`
+        );
       }
 
       console.log(chalk.blue('\n🚀 Starting batch run...\n'));
       console.log(chalk.gray(`Code version: ${await getCodeVersionLabel()}`));
-      console.log(chalk.gray(`Account: ${options.account}`));
-      console.log(chalk.gray(`Permalink: ${options.permalink}`));
-      console.log(chalk.gray(`Batch size: ${batchSize}`));
-      console.log(chalk.gray(`Parallelism: ${parallelism} workers`));
+      console.log(chalk.gray(accountAliases.length > 1 ? `Accounts: ${accountAliases.join(', ')}` : `Account: ${accountAliases[0]}`));
+      const { imageStage } = targets[0];
+      if (imageStage) {
+        console.log(chalk.gray(`Image stage: "${imageStage.prompt}" (pick ${imageStage.pick})`));
+      } else if (targets.length > 1) {
+        console.log(chalk.gray(`Permalinks: ${targets.length}`));
+      } else {
+        console.log(chalk.gray(`Permalink: ${targets[0].permalink}`));
+      }
+      console.log(chalk.gray(imageStage ? `Videos per image: ${batchSize}` : `Batch size: ${batchSize}`));
+      if (successTarget.targetSuccesses) {
+        console.log(chalk.gray(
+          `Success target: ${batchSize}${imageStage ? ' per image' : ''} ` +
+          `(max attempts per prompt: ${successTarget.maxAttempts ?? `${config.TARGET_SUCCESS_ATTEMPT_FACTOR}x count`})`
+        ));
+      }
+      if (options.matrix) {
+        console.log(chalk.gray(`Matrix cells: ${promptCount}`));
+      } else if (promptCount > 1) {
+        console.log(chalk.gray(`Prompts: ${promptCount} variants`));
+      }
+      console.log(chalk.gray(adaptive
+        ? `Parallelism: adaptive, ${adaptive.start} workers to start, up to ${parallelism}`
+        : `Parallelism: ${parallelism} workers`));
+      console.log(chalk.gray(`Duration: ${formatDurationLabel(generationOptions.duration)}`));
+      for (const [name, label] of Object.entries(generationOptions.videoOptions)) {
+        console.log(chalk.gray(`Video option ${name}: ${label}`));
+      }
+      if (generationOptions.strictOptions) {
+        console.log(chalk.gray(`Strict options: enabled`));
+      }
+      if (moderation.retries > 0) {
+        const extras = [
+          moderation.fallbackPrompts.length > 0 && `${moderation.fallbackPrompts.length} fallback prompt(s)`,
+          Object.keys(moderation.rewrites).length > 0 && `${Object.keys(moderation.rewrites).length} rewrite(s)`,
+        ].filter(Boolean);
+        console.log(chalk.gray(`Moderation retries: ${moderation.retries}${extras.length ? ` (${extras.join(', ')})` : ''}`));
+      }
+      if (rateLimitWait.waitOnRateLimit) {
+        console.log(chalk.gray(
+          `Wait on rate limit: enabled${rateLimitWait.deadline ? ` (until ${rateLimitWait.deadline.toLocaleString()})` : ''}`
+        ));
+      }
       if (options.autoDownload) {
         console.log(chalk.gray(`Auto-download: enabled`));
       }
@@ -203,23 +511,223 @@ run
 
       // Create and start runner (always use ParallelRunner, parallelism=1 runs sequentially)
       const runner = new ParallelRunner({
-        accountAlias: options.account,
-        permalink: options.permalink,
-        prompt: options.prompt,
-        batchSize,
+        accountAlias: accountAliases[0],
+        accounts: accountAliases,
+        targets,
         jobName: options.jobName,
         parallelism,
+        adaptive,
         autoDownload: options.autoDownload || false,
         autoUpscale: options.autoUpscale || false,
         autoDelete: options.autoDelete || false,
+        ...generationOptions,
+        ...successTarget,
+        moderation,
+        retryPolicy,
+        maxRelaunches,
+        skipPostOnInterrupt: options.skipPostOnInterrupt || false,
+        handleSignals: true,
+        waitForAccount: options.waitForAccount || false,
       });
 
       await runner.init();
       const summary = await runner.start();
 
-      // Update account last used
-      await accountManager.updateLastUsed(options.account);
+      // Update last-used data of each account with its counts
+      await accountManager.recordJobUsage(runner.jobName, summary);
+
+      // Wait out rate limits and resume the same job until it finishes
+      if (rateLimitWait.waitOnRateLimit) {
+        const scheduler = new CooldownScheduler({
+          ...rateLimitWait,
+          runnerOptions: { parallelism, accounts: accountAliases, handleSignals: true, waitForAccount: options.waitForAccount || false },
+        });
+        await scheduler.runUntilDone(runner.jobName, summary);
+      }
+
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+run
+  .command('resume <job>')
+  .description('Resume a rate-limited or interrupted run from its saved manifest')
+  .option('--parallel <count>', 'Number of parallel workers (1-100, default: original setting)')
+  .option('--wait-for-account', 'Wait for accounts in use by another run instead of failing')
+  .option('--wait-on-rate-limit', 'On a rate limit, wait for the reset and resume again automatically')
+  .option('--rate-limit-cooldown <minutes>', 'Wait when the rate-limit message has no reset time (default: 180)')
+  .option('--wait-deadline <time>', 'Stop waiting for rate limits after this date-time (or number of hours)')
+  .action(async (jobName, options) => {
+    try {
+      const jobManager = new JobManager();
+      const job = await jobManager.loadJob(jobName);
+      const { manifest } = job;
+      const settings = manifest.settings || {};
+
+      if (!JobManager.isResumable(manifest)) {
+        throw new Error(`Job "${jobName}" has no remaining items to resume (status: ${manifest.status})`);
+      }
+
+      const parallelism = parseInt(options.parallel ?? settings.parallelism ?? 1, 10);
+      if (isNaN(parallelism) || parallelism < 1 || parallelism > 100) {
+        throw new Error('Parallel must be between 1 and 100');
+      }
+      const rateLimitWait = resolveRateLimitWait(options);
+
+      // Check if accounts still exist
+      const accountManager = new AccountManager();
+      let accountAliases = manifest.accounts || [manifest.accountAlias];
+      for (const alias of accountAliases) {
+        if (!await accountManager.accountExists(alias)) {
+          throw new Error(`Account "${alias}" not found. Run "grok-batch accounts add ${alias}" first.`);
+        }
+      }
+      accountAliases = await skipUnhealthyAccounts(accountManager, accountAliases);
+
+      const summary = job.getSummary();
+
+      console.log(chalk.blue('\n🔁 Resuming batch run...\n'));
+      console.log(chalk.gray(`Code version: ${await getCodeVersionLabel()}`));
+      console.log(chalk.gray(`Job: ${manifest.jobName}`));
+      console.log(chalk.gray(`Previous status: ${manifest.status}`));
+      console.log(chalk.gray(accountAliases.length > 1 ? `Accounts: ${accountAliases.join(', ')}` : `Account: ${accountAliases[0]}`));
+      const imageStagePending = manifest.imageStage && manifest.imageStage.status !== 'COMPLETED';
+      if (imageStagePending) {
+        console.log(chalk.gray(`Image stage: "${manifest.imageStage.prompt}" (${manifest.imageStage.status})`));
+      } else {
+        console.log(chalk.gray(`Permalink: ${manifest.permalink || `${manifest.permalinks.length} permalinks`}`));
+        console.log(chalk.gray(`Remaining: ${summary.remaining + summary.rateLimited}/${summary.totalVideos}`));
+      }
+      console.log(chalk.gray(`Parallelism: ${parallelism} workers${settings.adaptive ? ' (adaptive ceiling)' : ''}`));
+      console.log('');
+
+      const runnerOptions = { parallelism, accounts: accountAliases, handleSignals: true, waitForAccount: options.waitForAccount || false };
+      const runner = ParallelRunner.fromManifest(manifest, runnerOptions);
+
+      await runner.resume();
+      const resumedSummary = await runner.start();
+
+      // Update last-used data of each account with its counts
+      await accountManager.recordJobUsage(manifest.jobName, resumedSummary);
+
+      if (rateLimitWait.waitOnRateLimit) {
+        const scheduler = new CooldownScheduler({ ...rateLimitWait, runnerOptions });
+        await scheduler.runUntilDone(manifest.jobName, resumedSummary);
+      }
+
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
 
+run
+  .command('status <job>')
+  .description('Show the status breakdown of a run')
+  .action(async (jobName) => {
+    try {
+      const jobManager = new JobManager();
+      await jobManager.showStatus(jobName);
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+run
+  .command('list')
+  .description('List all past and active runs')
+  .action(async () => {
+    try {
+      const jobManager = new JobManager();
+      await jobManager.listJobs();
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * Manifest commands
+ */
+const manifestCommand = program.command('manifest').description('Inspect and repair job manifests');
+
+manifestCommand
+  .command('validate <path>')
+  .description('Check a manifest (manifest.json, job directory or job name) for counters that disagree with its items')
+  .option('--repair', 'Recompute the counters from the items and save the manifest at the current schema version')
+  .action(async (target, options) => {
+    try {
+      const jobManager = new JobManager();
+      const { issues, repaired } = await jobManager.validateManifest(target, { repair: options.repair || false });
+      if (issues.length > repaired.length) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * Image commands
+ */
+const images = program.command('images').description('Manage source images');
+
+images
+  .command('upload <folder>')
+  .description('Upload local images to Grok Imagine and record their permalinks')
+  .requiredOption('-a, --account <alias>', 'Account alias to upload with')
+  .option('--prompt <text>', 'Write a ready-to-run config using this prompt')
+  .option('-c, --count <number>', 'Videos per image in the written config', String(config.DEFAULT_BATCH_SIZE))
+  .option('-p, --parallel <number>', 'Parallel workers in the written config', '1')
+  .option('-o, --output <path>', 'Config output path (default: <folder>/grok-batch-config.json)')
+  .action(async (folder, options) => {
+    try {
+      const count = parseInt(options.count, 10);
+      if (isNaN(count) || count < 1 || count > 1000) {
+        throw new Error('Count must be between 1 and 1000');
+      }
+      const parallel = parseInt(options.parallel, 10);
+      if (isNaN(parallel) || parallel < 1 || parallel > 100) {
+        throw new Error('Parallel must be between 1 and 100');
+      }
+
+      const accountManager = new AccountManager();
+      const exists = await accountManager.accountExists(options.account);
+      if (!exists) {
+        throw new Error(`Account "${options.account}" not found. Run "grok-batch accounts add ${options.account}" first.`);
+      }
+
+      const uploader = new ImageUploader(options.account);
+      const result = await uploader.uploadFolder(folder, {
+        prompt: options.prompt,
+        count,
+        parallel,
+        output: options.output,
+      });
+
+      console.log(chalk.blue('\n📤 Upload Summary'));
+      console.log(chalk.green(`  ✓ Uploaded: ${result.uploaded}`));
+      console.log(chalk.gray(`  Skipped (already uploaded): ${result.skipped}`));
+      if (result.failed > 0) {
+        console.log(chalk.red(`  ✗ Failed: ${result.failed}`));
+      }
+      console.log(chalk.gray(`  Permalinks: ${result.permalinks.length}`));
+
+      if (result.configPath) {
+        console.log(chalk.green(`\n✓ Config written: ${result.configPath}`));
+        console.log(chalk.gray(`  Run with: grok-batch run start --config ${result.configPath}`));
+      } else if (!options.prompt) {
+        console.log(chalk.gray('\n  Pass --prompt to write a ready-to-run config.'));
+      }
+      console.log('');
+
+      if (result.failed > 0) {
+        process.exit(1);
+      }
     } catch (error) {
       console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
       process.exit(1);
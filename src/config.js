@@ -51,6 +51,7 @@ export const config = {
   AUTORUN_LOGS_DIR: path.resolve(__dirname, '..', 'logs', 'autorun'),
   SINGLE_RUN_LOGS_DIR: path.resolve(__dirname, '..', 'logs', 'runs'),
   CACHE_DIR: path.resolve(__dirname, '..', 'cache'),
+  JOBS_DIR: path.resolve(__dirname, '..', 'jobs'), // Durable per-job manifests (used by resume/status/list)
 
   // Timeouts (milliseconds)
   VIDEO_GENERATION_TIMEOUT: 60000, // 60 seconds
@@ -58,16 +59,69 @@ export const config = {
   ELEMENT_WAIT_TIMEOUT: parseInt(process.env.ELEMENT_WAIT_TIMEOUT, 10) || 30000, // 30 seconds (configurable via env var)
   UI_ACTION_DELAY: 1000, // 1 second delay after UI actions (menu open/close, button clicks)
 
-  // Content moderation retry configuration
-  MODERATION_RETRY_MAX: 100, // Max retries for content moderation errors
-  MODERATION_RETRY_COOLDOWN: 1000, // 1 second cooldown between moderation retries
+  // Content moderation retry configuration (see "moderation" in config files)
+  MODERATION_RETRY_MAX: 100, // Upper bound for moderation.retries (per item)
+  MODERATION_RETRY_COOLDOWN: 1000, // Default moderation.cooldown: 1 second between moderation retries
+  MODERATION_RATE_MIN_ATTEMPTS: 4, // Default moderation.minAttempts before maxModerationRate applies
+
+  // Technical failure retries per error class (see "retryPolicy" in config files)
+  TECHNICAL_RETRY_POLICY: {
+    TIMEOUT: { maxRetries: 2, baseDelay: 30000 },
+    NETWORK_ERROR: { maxRetries: 3, baseDelay: 15000 },
+    GENERATION_ERROR: { maxRetries: 2, baseDelay: 20000 },
+    UI_ERROR: { maxRetries: 2, baseDelay: 5000 }, // Generation button / prompt input not found
+  },
+  TECHNICAL_RETRY_MAX_DELAY: 5 * 60 * 1000, // Backoff cap: 5 minutes
+  TECHNICAL_RETRY_JITTER: 0.25, // Backoff delays vary randomly by up to ±25%
+
+  // Waiting out rate limits (--wait-on-rate-limit)
+  RATE_LIMIT_COOLDOWN: 3 * 60 * 60 * 1000, // 3 hours when the rate-limit message has no reset hint
+  RATE_LIMIT_RESET_MARGIN: 2 * 60 * 1000, // Added to a parsed reset hint
+
+  // Cross-process run locks (profiles/<alias>-run.lock, jobs/<job>/run.lock)
+  ACCOUNT_LOCK_POLL_INTERVAL: 30 * 1000, // --wait-for-account: check a busy account again every 30 seconds
+
+  // Warm worker profile pool (profiles/<alias>-pool): paths left out when copying the master profile
+  PROFILE_POOL_EXCLUDES: [
+    'Cache',
+    'Code Cache',
+    'GPUCache',
+    'GrShaderCache',
+    'ShaderCache',
+    path.join('Service Worker', 'CacheStorage'),
+    path.join('Service Worker', 'ScriptCache'),
+    'SingletonLock', // Chrome's "profile in use" markers of the master browser
+    'SingletonSocket',
+    'SingletonCookie',
+  ],
+
+  // Per-account usage ledger (profiles/usage-ledger.json)
+  USAGE_LEDGER_RETENTION: 24 * 60 * 60 * 1000, // Attempt events are kept for 24 hours
+  USAGE_LEDGER_MAX_RATE_LIMITS: 20, // Rate limits kept per account
 
   // Generation settings
   DEFAULT_BATCH_SIZE: 10,
+  VIDEO_DURATION_TOLERANCE: 1, // Seconds a generated video may differ from the selected duration
+  TARGET_SUCCESS_ATTEMPT_FACTOR: 3, // targetSuccesses mode: default maxAttempts = count x factor
 
   // Parallel execution
   DEFAULT_PARALLELISM: 10,
   WORKER_SHUTDOWN_TIMEOUT: 60000, // 60s grace period for shutdown
+  WORKER_MAX_RELAUNCHES: 3, // Default maxRelaunches: browser relaunches per worker after crashes before it gives up
+  PAGE_HEALTH_TIMEOUT: 10000, // A page that doesn't run a trivial script within 10 seconds is hung
+  ATTEMPT_WATCHDOG_MARGIN: 2 * 60 * 1000, // An attempt running this long past VIDEO_GENERATION_TIMEOUT means a hung page
+  ITEM_LEASE_TTL: 3 * 60 * 1000, // A claimed item without a worker heartbeat for 3 minutes goes back to PENDING
+  ITEM_HEARTBEAT_INTERVAL: 30 * 1000, // Workers renew the lease of their item every 30 seconds
+  MANIFEST_JOURNAL: true, // Runs keep the manifest in memory and append changes to manifest.journal (false: rewrite manifest.json)
+  MANIFEST_JOURNAL_COMPACT_EVERY: 500, // Journal entries before they are folded into manifest.json
+
+  // Adaptive parallelism (`adaptive`; `parallel` is the worker ceiling)
+  ADAPTIVE_START_WORKERS: 2,
+  ADAPTIVE_MIN_WORKERS: 1,
+  ADAPTIVE_INTERVAL: 60 * 1000, // Evaluation window
+  ADAPTIVE_MAX_ERROR_RATE: 0.25, // Timeouts + network errors per attempt before backing off
+  ADAPTIVE_LATENCY_FACTOR: 1.5, // Success latency above this x the best window holds the worker count
+  ADAPTIVE_MIN_SAMPLES: 2, // Attempts a window needs before workers are added
 
   // Auto-run settings
   DEFAULT_AUTORUN_INTERVAL: 2 * 60 * 60 * 1000, // 2 hours in milliseconds
@@ -91,6 +145,17 @@ export const config = {
   UPSCALE_RETRY_MAX: 3,
   UPSCALE_RETRY_DELAY: 2000, // 2 seconds between retries
 
+  // Image upload settings
+  IMAGINE_URL: 'https://grok.com/imagine',
+  IMAGE_UPLOAD_TIMEOUT: 60000, // 60 seconds for upload + post creation
+  IMAGE_UPLOAD_DELAY: 2000, // 2s between uploads
+  IMAGE_UPLOAD_EXTENSIONS: ['.png', '.jpg', '.jpeg', '.webp'],
+  IMAGE_UPLOAD_MAPPING_FILE: '.grok-uploads.json', // Written into the uploaded folder
+
+  // Text-to-image stage
+  IMAGE_GENERATION_TIMEOUT: 120000, // 2 minutes for a set of images to appear
+  IMAGE_RESULTS_SETTLE_DELAY: 3000, // Result count must stay unchanged this long before collecting
+
   // Browser settings
   HEADED_MODE: true, // Default to headed for debugging
   VIEWPORT: { width: 1280, height: 720 },
@@ -152,6 +217,15 @@ export const selectors = {
   // Video duration selection
   VIDEO_OPTIONS_BUTTON: 'button[aria-label="Video Options"]',
 
+  // Image upload (file input on grok.com/imagine, or the button that opens the file chooser)
+  IMAGE_UPLOAD_INPUT: 'input[type="file"]',
+  IMAGE_UPLOAD_BUTTON: 'button[aria-label*="upload" i], button:has-text("Upload")',
+
+  // Text-to-image generation (grok.com/imagine home)
+  IMAGE_MODE_BUTTON: 'button:has-text("Image"), [role="tab"]:has-text("Image"), [role="radio"]:has-text("Image")',
+  IMAGE_SUBMIT_BUTTON: 'button[type="submit"], button[aria-label*="submit" i], button[aria-label*="generate" i]',
+  IMAGE_RESULT_LINK: 'a[href*="/imagine/post/"]',
+
   // Announcement banner dismiss button (X button inside z-[9999] banner)
   ANNOUNCEMENT_BANNER_DISMISS: 'div.absolute[class*="z-[9999]"] button:has(svg.lucide-x)',
 };
@@ -1,8 +1,61 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { chromium } from 'playwright';
-import config from '../config.js';
+import config, { selectors } from '../config.js';
 import chalk from 'chalk';
+import { UsageLedger, USAGE_WINDOWS } from './usage-ledger.js';
+import { ProfilePool } from './profile-pool.js';
+import { RunLocks } from './run-locks.js';
+import { formatBytes } from '../utils/disk.js';
+import { FileLock } from '../utils/lock.js';
+import { writeJsonAtomic } from '../utils/atomic-write.js';
+
+/**
+ * Sleep utility
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Account auth statuses that need a new login before the account can run jobs
+ */
+const UNHEALTHY_STATUSES = ['AUTH_EXPIRED', 'AUTH_REQUIRED'];
+
+/**
+ * Launch the bundled Chromium with a Playwright storage state (cookies + localStorage).
+ * Used for imported accounts, which have no Chrome profile.
+ * @param {string} storageStatePath - Storage state JSON file
+ * @param {Object} [options]
+ * @param {boolean} [options.headless] - Default: !HEADED_MODE
+ * @returns {Promise<{browser: Object, context: Object}>}
+ */
+export async function launchStorageState(storageStatePath, { headless = !config.HEADED_MODE } = {}) {
+  const browser = await chromium.launch({
+    headless,
+    args: ['--disable-blink-features=AutomationControlled'],
+  });
+  try {
+    const context = await browser.newContext({ storageState: storageStatePath, viewport: config.VIEWPORT });
+    return { browser, context };
+  } catch (error) {
+    await browser.close().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Whether a Grok page is logged in (no login button). Shared by workers, `accounts import`
+ * and `accounts verify`.
+ * @param {Object} page - Playwright page
+ */
+export async function isAuthenticated(page) {
+  try {
+    return !await page.$(selectors.LOGIN_BUTTON);
+  } catch {
+    return false;
+  }
+}
 
 /**
  * Account manager for setting up persistent browser profiles
@@ -10,6 +63,7 @@ import chalk from 'chalk';
 export class AccountManager {
   constructor() {
     this.accountsFile = path.join(config.PROFILES_DIR, 'accounts.json');
+    this.lock = new FileLock(`${this.accountsFile}.lock`);
   }
 
   /**
@@ -32,7 +86,20 @@ export class AccountManager {
    */
   async saveAccounts(accounts) {
     await fs.mkdir(config.PROFILES_DIR, { recursive: true });
-    await fs.writeFile(this.accountsFile, JSON.stringify(accounts, null, 2));
+    await writeJsonAtomic(this.accountsFile, accounts);
+  }
+
+  /**
+   * Load, change and save the accounts list with accounts.json locked (thread-safe)
+   * @param {Function} fn - Changes the accounts object in place
+   * @private
+   */
+  async _modifyAccounts(fn) {
+    await this.lock.withLock(async () => {
+      const accounts = await this.loadAccounts();
+      await fn(accounts);
+      await this.saveAccounts(accounts);
+    });
   }
 
   /**
@@ -45,7 +112,8 @@ export class AccountManager {
     if (!config.CHROME_USER_DATA_DIR) {
       console.log(chalk.red('\n✗ Chrome user data directory not found!'));
       console.log(chalk.yellow('\nTo avoid bot detection, this tool needs to copy your Chrome profile.'));
-      console.log(chalk.gray('Please install Google Chrome or set CHROME_USER_DATA_DIR environment variable.\n'));
+      console.log(chalk.gray('Please install Google Chrome or set CHROME_USER_DATA_DIR environment variable.'));
+      console.log(chalk.gray(`Without Chrome, export the session elsewhere and use "accounts import ${alias} <file>".\n`));
       throw new Error('Chrome profile required for bot detection avoidance');
     }
 
@@ -119,42 +187,492 @@ export class AccountManager {
       context.on('close', resolve);
     });
 
-    // Save account to list
-    const accounts = await this.loadAccounts();
-    accounts[alias] = {
-      alias,
-      profileDir: userDataDir,
-      createdAt: new Date().toISOString(),
-      lastUsed: new Date().toISOString(),
-    };
-    await this.saveAccounts(accounts);
+    // Save account to list (tags, tier and notes of an existing account are kept)
+    await this._modifyAccounts((accounts) => {
+      accounts[alias] = {
+        ...accounts[alias],
+        alias,
+        profileDir: userDataDir,
+        createdAt: new Date().toISOString(),
+        lastUsed: new Date().toISOString(),
+        authStatus: null, // Logged in again; an expired session is no longer recorded
+      };
+    });
 
     console.log(chalk.green(`\n✓ Account "${alias}" setup complete!\n`));
   }
 
   /**
-   * List all configured accounts
+   * List configured accounts
+   * @param {Object} [filter] - Only accounts with this `tag` / `tier` (see findAccounts)
    */
-  async listAccounts() {
+  async listAccounts(filter = {}) {
     const accounts = await this.loadAccounts();
-    const aliases = Object.keys(accounts);
+    const aliases = await this.findAccounts(filter);
+    const ledger = new UsageLedger();
+    await ledger.load();
 
-    if (aliases.length === 0) {
+    if (Object.keys(accounts).length === 0) {
       console.log(chalk.yellow('\nNo accounts configured yet.'));
       console.log(chalk.gray('Use "grok-batch accounts:add <alias>" to add an account.\n'));
       return;
     }
+    if (aliases.length === 0) {
+      console.log(chalk.yellow('\nNo accounts match the filter.\n'));
+      return;
+    }
 
     console.log(chalk.blue('\nConfigured accounts:\n'));
-    aliases.forEach((alias) => {
+    for (const alias of aliases) {
       const account = accounts[alias];
-      console.log(chalk.white(`  • ${alias}`));
+      console.log(chalk.white(`  • ${alias}${account.tier ? ` [${account.tier}]` : ''}`));
+      if (account.tags?.length > 0) {
+        console.log(chalk.gray(`    Tags: ${account.tags.join(', ')}`));
+      }
+      if (account.notes) {
+        console.log(chalk.gray(`    Notes: ${account.notes}`));
+      }
       console.log(chalk.gray(`    Created: ${new Date(account.createdAt).toLocaleString()}`));
+      if (account.storageStatePath) {
+        console.log(chalk.gray(`    Session: imported storage state (${new Date(account.importedAt).toLocaleString()})`));
+      }
       if (account.lastUsed) {
         console.log(chalk.gray(`    Last used: ${new Date(account.lastUsed).toLocaleString()}`));
       }
+      if (account.authStatus === 'AUTH_EXPIRED') {
+        console.log(chalk.red(
+          `    Session expired: ${new Date(account.authExpiredAt).toLocaleString()} during ${account.authExpiredJob} ` +
+          `(run "accounts relogin ${alias}")`
+        ));
+      } else if (account.verifiedAt && account.authStatus) {
+        const color = account.authStatus === 'OK' ? chalk.gray : chalk.red;
+        console.log(color(`    Verified: ${account.authStatus} (${new Date(account.verifiedAt).toLocaleString()})`));
+      }
+      if (account.verifyError) {
+        console.log(chalk.yellow(
+          `    Last verify failed: ${account.verifyError} (${new Date(account.verifyErrorAt).toLocaleString()})`
+        ));
+      }
+      if (account.lastRun) {
+        const run = account.lastRun;
+        console.log(chalk.gray(
+          `    Last run: ${run.jobName} - ${run.successful} successful, ${run.contentModerated} moderated, ` +
+          `${run.failed} failed${run.rateLimited ? ' (rate limited)' : ''}`
+        ));
+      }
+      const usage = USAGE_WINDOWS.map(({ label, ms }) => {
+        const counts = ledger.usage(alias, ms);
+        return `${counts.attempts} attempts/${label}` + (counts.rate_limited ? ` (${counts.rate_limited} rate limited)` : '');
+      });
+      console.log(chalk.gray(`    Usage: ${usage.join(', ')}`));
+      const rateLimit = ledger.lastRateLimit(alias);
+      if (rateLimit) {
+        console.log(chalk.gray(
+          `    Last rate limit: ${new Date(rateLimit.at).toLocaleString()} after ${rateLimit.attempts} attempts`
+        ));
+      }
+      const cooldownUntil = ledger.cooldownUntil(alias);
+      if (cooldownUntil) {
+        console.log(chalk.yellow(`    Cooling down until ${cooldownUntil.toLocaleString()}`));
+      }
+      const [lease] = await RunLocks.busyAccounts([alias]);
+      if (lease) {
+        console.log(chalk.yellow(
+          `    In use by job ${lease.holder.jobName} (pid ${lease.holder.pid}, since ${new Date(lease.holder.acquiredAt).toLocaleString()})`
+        ));
+      }
+      const pool = await new ProfilePool(alias).stats();
+      if (pool.slots > 0) {
+        console.log(chalk.gray(
+          `    Worker profiles: ${pool.slots} (${pool.leased} in use), ${formatBytes(pool.bytes)} on disk`
+        ));
+      }
       console.log('');
+    }
+  }
+
+  /**
+   * Export an account's session (cookies + localStorage) as a Playwright storage state file,
+   * e.g. to import it on a headless machine
+   * @param {string} alias - Account alias
+   * @param {string} file - Output JSON file (contains the session cookies; keep it private)
+   */
+  async exportAccount(alias, file) {
+    const account = await this.getAccount(alias);
+    if (!account) {
+      throw new Error(`Account "${alias}" not found`);
+    }
+
+    let state;
+    if (account.storageStatePath) {
+      state = JSON.parse(await fs.readFile(account.storageStatePath, 'utf-8'));
+    } else {
+      const session = await this._launchSession(account);
+      try {
+        state = await session.context.storageState();
+      } finally {
+        await session.close();
+      }
+    }
+
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(state, null, 2), { mode: 0o600 });
+    console.log(chalk.green(`\n✓ Exported session of "${alias}" to ${file} (${state.cookies.length} cookies)`));
+    console.log(chalk.yellow('  The file grants access to the account; keep it private.\n'));
+  }
+
+  /**
+   * Add (or replace) an account from a Playwright storage state file. The session is checked by
+   * loading Grok Imagine with the bundled Chromium; workers then launch from the stored state
+   * instead of a Chrome profile.
+   * @param {string} alias - Account alias
+   * @param {string} file - Storage state JSON file (from `accounts export` or Playwright)
+   */
+  async importAccount(alias, file) {
+    let state;
+    try {
+      state = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not read storage state ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(state.cookies) || !Array.isArray(state.origins ?? [])) {
+      throw new Error(`${file} is not a Playwright storage state (expected "cookies" and "origins")`);
+    }
+
+    console.log(chalk.blue(`\nImporting account: ${alias}`));
+    console.log(chalk.gray(`Checking the session (${state.cookies.length} cookies) on ${config.IMAGINE_URL}...`));
+
+    const { browser, context } = await launchStorageState(path.resolve(file), { headless: true });
+    let refreshed;
+    try {
+      const page = await context.newPage();
+      await page.goto(config.IMAGINE_URL, { waitUntil: 'domcontentloaded', timeout: config.PAGE_LOAD_TIMEOUT });
+      await sleep(3000);
+      if (!await isAuthenticated(page)) {
+        throw new Error(`AUTH_REQUIRED: The session in ${file} is not logged in to Grok`);
+      }
+      refreshed = await context.storageState(); // Includes cookies renewed by this visit
+    } finally {
+      await browser.close().catch(() => {});
+    }
+
+    const storageStatePath = path.join(config.PROFILES_DIR, `${alias}-state.json`);
+    await fs.mkdir(config.PROFILES_DIR, { recursive: true });
+    await fs.writeFile(storageStatePath, JSON.stringify(refreshed, null, 2), { mode: 0o600 });
+
+    await this._modifyAccounts((accounts) => {
+      accounts[alias] = {
+        ...accounts[alias],
+        alias,
+        type: 'storage-state',
+        profileDir: null,
+        storageStatePath,
+        createdAt: accounts[alias]?.createdAt || new Date().toISOString(),
+        importedAt: new Date().toISOString(),
+        lastUsed: new Date().toISOString(),
+        verifiedAt: new Date().toISOString(),
+        authStatus: 'OK',
+      };
     });
+
+    console.log(chalk.green(`\n✓ Account "${alias}" imported; workers will use the bundled Chromium\n`));
+  }
+
+  /**
+   * Reopen an account's existing Chrome profile for a new login (no profile copy)
+   * @param {string} alias - Account alias
+   */
+  async relogin(alias) {
+    const account = await this._requireAccount(alias);
+    if (account.storageStatePath) {
+      throw new Error(`Account "${alias}" was imported; export a fresh session elsewhere and run "accounts import ${alias} <file>"`);
+    }
+    await this._requireIdle(alias, 'relogin');
+
+    console.log(chalk.blue(`\nLogging in again: ${alias}`));
+    console.log(chalk.gray('A browser window will open with the account\'s profile.'));
+    console.log(chalk.gray('Please log in to Grok, then close the browser to finish.\n'));
+
+    const session = await this._launchSession(account, { headless: false });
+    const page = session.context.pages()[0] || await session.context.newPage();
+    await page.goto(config.IMAGINE_URL, { waitUntil: 'networkidle' });
+    await new Promise((resolve) => {
+      session.context.on('close', resolve);
+    });
+
+    await this._updateAccount(alias, { lastLoginAt: new Date().toISOString() });
+    console.log(chalk.gray('\nChecking the new session...'));
+    const [result] = await this.verifyAccounts([alias]);
+    if (!result.authenticated) {
+      throw new Error(`Account "${alias}" is still not logged in`);
+    }
+    console.log(chalk.green(`\n✓ Account "${alias}" logged in again\n`));
+  }
+
+  /**
+   * Check headlessly that accounts are still logged in (same test as the workers) and record
+   * the result on each account
+   * @param {string[]} aliases - Accounts to check
+   * @returns {Promise<Array<{alias: string, authenticated: boolean, error: string|null}>>}
+   */
+  async verifyAccounts(aliases) {
+    const results = [];
+    for (const alias of aliases) {
+      const account = await this._requireAccount(alias);
+      let authenticated = false;
+      let error = null;
+
+      try {
+        const session = await this._launchSession(account);
+        try {
+          const page = session.context.pages()[0] || await session.context.newPage();
+          await page.goto(config.IMAGINE_URL, { waitUntil: 'domcontentloaded', timeout: config.PAGE_LOAD_TIMEOUT });
+          await sleep(3000);
+          authenticated = await isAuthenticated(page);
+        } finally {
+          await session.close();
+        }
+      } catch (launchError) {
+        error = launchError.message;
+      }
+
+      if (error) {
+        // The check itself failed: keep the last known auth status (e.g. AUTH_EXPIRED)
+        await this._updateAccount(alias, { verifyError: error, verifyErrorAt: new Date().toISOString() });
+        console.log(chalk.red(`  ✗ ${alias}: ${error}`));
+      } else {
+        const status = authenticated ? 'OK' : 'AUTH_REQUIRED';
+        await this._updateAccount(alias, {
+          verifiedAt: new Date().toISOString(),
+          authStatus: status,
+          verifyError: null,
+          verifyErrorAt: null,
+        });
+        if (status === 'OK') {
+          console.log(chalk.green(`  ✓ ${alias}: logged in`));
+        } else {
+          console.log(chalk.red(`  ✗ ${alias}: AUTH_REQUIRED (run "accounts relogin ${alias}")`));
+        }
+      }
+      results.push({ alias, authenticated, error });
+    }
+    return results;
+  }
+
+  /**
+   * Mark an account as needing a new login after its session expired during a run
+   * (checked by `run start` and auto-run; cleared by relogin, verify, add or import)
+   * @param {string} alias - Account alias
+   * @param {Object} details - { jobName, message }
+   */
+  async markAuthExpired(alias, { jobName = null, message = null } = {}) {
+    await this._updateAccount(alias, {
+      authStatus: 'AUTH_EXPIRED',
+      authExpiredAt: new Date().toISOString(),
+      authExpiredJob: jobName,
+      authError: message,
+    });
+  }
+
+  /**
+   * Accounts that need a new login: session expired during a run, or logged out at the last verify
+   * @param {string[]} aliases - Accounts to check
+   * @returns {Promise<Array<{alias: string, status: string, reason: string}>>}
+   */
+  async unhealthyAccounts(aliases) {
+    const accounts = await this.loadAccounts();
+    return aliases
+      .filter(alias => UNHEALTHY_STATUSES.includes(accounts[alias]?.authStatus))
+      .map((alias) => {
+        const account = accounts[alias];
+        const reason = account.authStatus === 'AUTH_EXPIRED'
+          ? `session expired ${new Date(account.authExpiredAt).toLocaleString()} during ${account.authExpiredJob}`
+          : `logged out at the last verify (${new Date(account.verifiedAt).toLocaleString()})`;
+        return { alias, status: account.authStatus, reason };
+      });
+  }
+
+  /**
+   * Remove an account and, unless keepFiles is set, its profile, worker profile pool and session file
+   * @param {string} alias - Account alias
+   * @param {Object} [options]
+   * @param {boolean} [options.keepFiles] - Only remove the account from accounts.json
+   */
+  async removeAccount(alias, { keepFiles = false } = {}) {
+    await this._requireAccount(alias);
+    await this._requireIdle(alias, 'remove');
+
+    await this._modifyAccounts((accounts) => {
+      delete accounts[alias];
+    });
+
+    if (!keepFiles) {
+      for (const file of this._accountFiles(alias)) {
+        await fs.rm(file, { recursive: true, force: true });
+      }
+    }
+    console.log(chalk.green(`\n✓ Account "${alias}" removed${keepFiles ? ' (files kept)' : ''}\n`));
+  }
+
+  /**
+   * Rename an account, moving its profile, worker profile pool, session file and usage history.
+   * Existing jobs keep referring to the old alias.
+   * @param {string} alias - Current alias
+   * @param {string} newAlias - New alias
+   */
+  async renameAccount(alias, newAlias) {
+    const account = await this._requireAccount(alias);
+    if (await this.accountExists(newAlias)) {
+      throw new Error(`Account "${newAlias}" already exists`);
+    }
+    await this._requireIdle(alias, 'rename');
+
+    const from = this._accountFiles(alias);
+    const to = this._accountFiles(newAlias);
+    for (const [i, file] of from.entries()) {
+      try {
+        await fs.rename(file, to[i]);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    await this._modifyAccounts((accounts) => {
+      delete accounts[alias];
+      accounts[newAlias] = {
+        ...account,
+        alias: newAlias,
+        profileDir: account.profileDir ? to[0] : null,
+        storageStatePath: account.storageStatePath ? to[2] : undefined,
+      };
+    });
+    await new UsageLedger().renameAccount(alias, newAlias);
+
+    console.log(chalk.green(`\n✓ Account "${alias}" renamed to "${newAlias}"\n`));
+  }
+
+  /**
+   * Update an account's tags, notes and subscription tier
+   * @param {string} alias - Account alias
+   * @param {Object} changes
+   * @param {string[]} [changes.addTags] - Tags to add
+   * @param {string[]} [changes.removeTags] - Tags to remove
+   * @param {string} [changes.notes] - Notes ('' clears them)
+   * @param {string} [changes.tier] - Subscription tier ('' clears it)
+   */
+  async updateMetadata(alias, { addTags = [], removeTags = [], notes, tier } = {}) {
+    const account = await this._requireAccount(alias);
+    const tags = new Set(account.tags || []);
+    addTags.forEach(tag => tags.add(tag.trim().toLowerCase()));
+    removeTags.forEach(tag => tags.delete(tag.trim().toLowerCase()));
+
+    const updates = { tags: [...tags].filter(Boolean).sort() };
+    if (notes !== undefined) {
+      updates.notes = notes || null;
+    }
+    if (tier !== undefined) {
+      updates.tier = tier ? tier.trim().toLowerCase() : null;
+    }
+    await this._updateAccount(alias, updates);
+  }
+
+  /**
+   * Aliases of the accounts matching a filter (all accounts without one)
+   * @param {Object} [filter]
+   * @param {string} [filter.tag] - Accounts carrying this tag
+   * @param {string} [filter.tier] - Accounts on this subscription tier
+   * @returns {Promise<string[]>}
+   */
+  async findAccounts({ tag, tier } = {}) {
+    const accounts = await this.loadAccounts();
+    return Object.values(accounts)
+      .filter(account => !tag || (account.tags || []).includes(tag.toLowerCase()))
+      .filter(account => !tier || account.tier === tier.toLowerCase())
+      .map(account => account.alias);
+  }
+
+  /**
+   * Account record, or null
+   * @returns {Promise<{alias: string, type?: string, profileDir: string|null, storageStatePath?: string}|null>}
+   */
+  async getAccount(alias) {
+    const accounts = await this.loadAccounts();
+    return accounts[alias] || null;
+  }
+
+  /**
+   * Account record; throws if it doesn't exist
+   * @private
+   */
+  async _requireAccount(alias) {
+    const account = await this.getAccount(alias);
+    if (!account) {
+      throw new Error(`Account "${alias}" not found`);
+    }
+    return account;
+  }
+
+  /**
+   * Throw while a run holds the account or has workers on it (leased worker profiles)
+   * @private
+   */
+  async _requireIdle(alias, action) {
+    const busy = await RunLocks.busyAccounts([alias]);
+    if (busy.length > 0 || await new ProfilePool(alias).leasedCount() > 0) {
+      throw new Error(`Account "${alias}" is in use by a running job; ${action} it once the job has stopped`);
+    }
+  }
+
+  /**
+   * Merge fields into an account record
+   * @private
+   */
+  async _updateAccount(alias, updates) {
+    await this._modifyAccounts((accounts) => {
+      if (accounts[alias]) {
+        accounts[alias] = { ...accounts[alias], ...updates };
+      }
+    });
+  }
+
+  /**
+   * Files of an account under PROFILES_DIR: master profile, worker profile pool (+ lock), session file
+   * @private
+   */
+  _accountFiles(alias) {
+    return [
+      path.join(config.PROFILES_DIR, `${alias}-chrome`),
+      path.join(config.PROFILES_DIR, `${alias}-pool`),
+      path.join(config.PROFILES_DIR, `${alias}-state.json`),
+      path.join(config.PROFILES_DIR, `${alias}-pool.lock`),
+    ];
+  }
+
+  /**
+   * Open a browser with an account's session: its Chrome profile, or the bundled Chromium with
+   * its imported storage state
+   * @param {Object} account - Account record
+   * @param {Object} [options]
+   * @param {boolean} [options.headless] - Default: true
+   * @returns {Promise<{context: Object, close: Function}>}
+   * @private
+   */
+  async _launchSession(account, { headless = true } = {}) {
+    if (account.storageStatePath) {
+      const { browser, context } = await launchStorageState(account.storageStatePath, { headless });
+      return { context, close: () => browser.close().catch(() => {}) };
+    }
+
+    const context = await chromium.launchPersistentContext(path.join(config.PROFILES_DIR, `${account.alias}-chrome`), {
+      channel: 'chrome',
+      headless,
+      viewport: config.VIEWPORT,
+      args: [
+        '--disable-blink-features=AutomationControlled',
+        `--profile-directory=${config.CHROME_PROFILE_NAME || 'Default'}`,
+      ],
+    });
+    return { context, close: () => context.close().catch(() => {}) };
   }
 
   /**
@@ -167,12 +685,34 @@ export class AccountManager {
 
   /**
    * Update last used timestamp
+   * @param {string} alias - Account alias
+   * @param {Object} [lastRun] - Counts of the account's last run ({ jobName, successful, ... })
    */
-  async updateLastUsed(alias) {
-    const accounts = await this.loadAccounts();
-    if (accounts[alias]) {
-      accounts[alias].lastUsed = new Date().toISOString();
-      await this.saveAccounts(accounts);
+  async updateLastUsed(alias, lastRun = null) {
+    await this._modifyAccounts((accounts) => {
+      if (accounts[alias]) {
+        accounts[alias].lastUsed = new Date().toISOString();
+        if (lastRun) {
+          accounts[alias].lastRun = lastRun;
+        }
+      }
+    });
+  }
+
+  /**
+   * Update last-used data of every account of a job from its run summary (per-account counts)
+   * @param {string} jobName - Job name
+   * @param {Object} summary - From ManifestManager.getSummary()
+   */
+  async recordJobUsage(jobName, summary) {
+    for (const entry of summary.byAccount) {
+      await this.updateLastUsed(entry.account, {
+        jobName,
+        successful: entry.successful,
+        contentModerated: entry.contentModerated,
+        failed: entry.failed,
+        rateLimited: entry.rateLimited,
+      });
     }
   }
 }
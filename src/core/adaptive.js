@@ -0,0 +1,79 @@
+/**
+ * Adaptive parallelism controller - decides how many workers a run should have from the
+ * metrics of the last evaluation window (see ParallelRunner._adaptParallelism).
+ *
+ * - A rate limit halves the workers
+ * - Timeouts and network errors above maxErrorRate remove one worker
+ * - Success latency above latencyFactor x the best window so far holds the count
+ * - Otherwise one worker is added while there is queued work, up to the ceiling
+ */
+export class AdaptiveController {
+  /**
+   * @param {Object} settings - From resolveAdaptiveParallelism()
+   * @param {number} max - Worker ceiling (the run's parallelism)
+   */
+  constructor(settings, max) {
+    this.min = Math.min(settings.min, max);
+    this.start = Math.min(settings.start, max);
+    this.max = max;
+    this.maxErrorRate = settings.maxErrorRate;
+    this.latencyFactor = settings.latencyFactor;
+    this.minSamples = settings.minSamples;
+    this.baselineLatency = null; // Best average success latency seen (ms)
+  }
+
+  /**
+   * Worker count for the next window
+   * @param {number} current - Active workers
+   * @param {Object} metrics - From ParallelRunner._collectMetrics()
+   * @returns {{target: number, reason: string}}
+   */
+  decide(current, metrics) {
+    if (metrics.rateLimited.length > 0) {
+      return {
+        target: Math.max(this.min, Math.floor(current / 2)),
+        reason: `rate limit on ${metrics.rateLimited.join(', ')}`,
+      };
+    }
+    if (metrics.attempts < this.minSamples) {
+      return { target: current, reason: `${metrics.attempts} attempt(s), waiting for ${this.minSamples}` };
+    }
+
+    const errorRate = this.errorRate(metrics);
+    if (errorRate > this.maxErrorRate) {
+      return {
+        target: Math.max(this.min, current - 1),
+        reason: `timeouts/network errors at ${Math.round(errorRate * 100)}%`,
+      };
+    }
+
+    if (metrics.avgLatencyMs !== null) {
+      if (this.baselineLatency === null || metrics.avgLatencyMs < this.baselineLatency) {
+        this.baselineLatency = metrics.avgLatencyMs;
+      } else if (metrics.avgLatencyMs > this.baselineLatency * this.latencyFactor) {
+        return {
+          target: current,
+          reason: `latency ${Math.round(metrics.avgLatencyMs / 1000)}s above ` +
+            `${this.latencyFactor}x best ${Math.round(this.baselineLatency / 1000)}s`,
+        };
+      }
+    }
+
+    if (current >= this.max) {
+      return { target: current, reason: 'healthy, at ceiling' };
+    }
+    if (metrics.queued <= current) {
+      return { target: current, reason: 'healthy, no queued work for another worker' };
+    }
+    return { target: current + 1, reason: 'healthy' };
+  }
+
+  /**
+   * Share of the window's attempts that ended in a timeout or network error
+   */
+  errorRate(metrics) {
+    return metrics.attempts > 0 ? (metrics.timeouts + metrics.networkErrors) / metrics.attempts : 0;
+  }
+}
+
+export default AdaptiveController;
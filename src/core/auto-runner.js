@@ -4,6 +4,21 @@ import chalk from 'chalk';
 import config from '../config.js';
 import { AccountManager } from './accounts.js';
 import { ParallelRunner } from './parallel-runner.js';
+import { CooldownScheduler } from './cooldown.js';
+import { UsageLedger } from './usage-ledger.js';
+import { RunLocks } from './run-locks.js';
+import {
+  resolveTargets,
+  resolveGenerationOptions,
+  resolveSuccessTarget,
+  resolveModerationPolicy,
+  resolveRetryPolicy,
+  resolveAccounts,
+  resolveMaxRelaunches,
+  resolveRateLimitWait,
+  resolveAdaptiveParallelism,
+  countTargetItems,
+} from './job-plan.js';
 import { Logger } from '../utils/logger.js';
 
 /**
@@ -188,9 +203,23 @@ export class AutoRunner {
     }
 
     console.log(chalk.green(`\nValid configs (${validConfigs.length}):`));
-    for (const { file, data } of validConfigs) {
+    for (const { file, data, targets } of validConfigs) {
       console.log(chalk.white(`  - ${file}`));
-      console.log(chalk.gray(`      Account: ${data.account}, Count: ${data.count || config.DEFAULT_BATCH_SIZE}`));
+      const promptCount = targets.reduce((sum, target) => sum + target.prompts.length, 0);
+      let targetInfo;
+      if (targets[0].imageStage) {
+        targetInfo = `per image, image stage picks ${targets[0].imageStage.pick}`;
+      } else if (data.matrix) {
+        targetInfo = `matrix, ${promptCount} cells`;
+      } else {
+        targetInfo = [
+          targets.length > 1 ? `${targets.length} permalinks` : null,
+          promptCount > 1 ? `${promptCount} prompts` : null,
+        ].filter(Boolean).join(', ');
+      }
+      console.log(chalk.gray(
+        `      ${this._describeAccounts(data)}, Count: ${countTargetItems(targets)}${targetInfo ? ` (${targetInfo})` : ''}`
+      ));
     }
     console.log('');
 
@@ -284,15 +313,33 @@ export class AutoRunner {
         break;
       }
 
-      const { file, data } = validConfigs[i];
+      const { file, data, targets } = validConfigs[i];
       const timestamp = new Date().toLocaleTimeString();
       const parallelism = parseInt(data.parallel, 10) || config.DEFAULT_PARALLELISM;
 
       console.log(chalk.gray(`[${timestamp}] ${file}`));
-      console.log(chalk.gray(`           Account: ${data.account}, Videos: ${data.count || config.DEFAULT_BATCH_SIZE}`));
+      console.log(chalk.gray(`           ${this._describeAccounts(data)}, Videos: ${countTargetItems(targets)}`));
+
+      // Leave out accounts that need a new login; skip the config when none is left
+      const healthy = await this._checkAccountHealth(file, data);
+      if (!healthy) {
+        continue;
+      }
+
+      // Leave out accounts another run (e.g. a manual "run start") is using; skip the config when none is left
+      const accounts = await this._checkAccountLocks(file, { ...data, accounts: healthy });
+      if (!accounts) {
+        continue;
+      }
+      const runData = { ...data, accounts };
+
+      // Skip configs whose accounts are all still cooling down from a rate limit (usage ledger)
+      if (!await this._checkCooldown(file, runData)) {
+        continue;
+      }
 
       try {
-        const result = await this.runConfig(file, data);
+        const result = await this.runConfig(file, runData, targets);
 
         // Accumulate stats from this run
         cycleStats.totalAttempts += result.totalAttempts;
@@ -314,6 +361,10 @@ export class AutoRunner {
           cycleStats.status = 'STOPPED_RATE_LIMIT';
           cycleStats.stopReason = 'Rate limit detected';
           console.log(chalk.yellow(`           -> Rate limited (${result.successful}/${result.totalVideos})\n`));
+        } else if (result.status === 'STOPPED_AUTH_EXPIRED') {
+          cycleStats.status = 'STOPPED_AUTH_EXPIRED';
+          cycleStats.stopReason = 'Session expired';
+          console.log(chalk.yellow(`           -> Session expired (${result.successful}/${result.totalVideos})\n`));
         } else {
           cycleStats.status = 'FAILED';
           cycleStats.stopReason = result.error || 'Unknown error';
@@ -369,8 +420,14 @@ export class AutoRunner {
 
   /**
    * Run a single config using ParallelRunner
+   * @param {Array<{permalink: string, prompts: Array}>} [targets] - Resolved targets from validateConfig
    */
-  async runConfig(file, configData) {
+  async runConfig(file, configData, targets = null) {
+    // Resolve permalinks/prompts (incl. template expansion) if the caller didn't
+    if (!targets) {
+      targets = await resolveTargets(configData, { baseDir: this.configDir });
+    }
+
     // Generate job name: use config's jobName if present, otherwise use filename
     const baseName = configData.jobName || path.basename(file, '.json');
     const timestamp = formatTimestamp();
@@ -380,35 +437,52 @@ export class AutoRunner {
     const logFilePath = path.join(this.detailedLogsDir, `${jobName}.log`);
 
     // Extract config values with defaults
-    const batchSize = parseInt(configData.count, 10) || config.DEFAULT_BATCH_SIZE;
+    const batchSize = countTargetItems(targets);
     const parallelism = parseInt(configData.parallel, 10) || config.DEFAULT_PARALLELISM;
 
     await this.logger.info(`Starting config: ${file}`);
     await this.logger.info(`  Job name: ${jobName}`);
-    await this.logger.info(`  Account: ${configData.account}`);
-    await this.logger.info(`  Batch size: ${batchSize}, Parallelism: ${parallelism}`);
+    const accounts = resolveAccounts(configData);
+    await this.logger.info(`  ${this._describeAccounts(configData)}`);
+    await this.logger.info(`  Batch size: ${batchSize}, Parallelism: ${parallelism}${configData.adaptive ? ' (adaptive ceiling)' : ''}`);
 
     try {
       // Create and initialize runner
       const runner = new ParallelRunner({
-        accountAlias: configData.account,
-        permalink: configData.permalink,
-        prompt: configData.prompt,
-        batchSize,
+        accountAlias: accounts[0],
+        accounts,
+        targets,
         jobName,
         parallelism,
+        adaptive: resolveAdaptiveParallelism(configData), // null = fixed parallelism
         autoDownload: configData.autoDownload !== false,  // default true
         autoUpscale: configData.autoUpscale !== false,    // default true
         autoDelete: configData.autoDelete || false,       // default false
+        ...resolveGenerationOptions(configData),          // duration (default max), videoOptions, strictOptions
+        ...resolveSuccessTarget(configData),              // targetSuccesses, maxAttempts
+        moderation: resolveModerationPolicy(configData),  // moderated items are final by default
+        retryPolicy: resolveRetryPolicy(configData),      // technical failures: TECHNICAL_RETRY_POLICY defaults
+        maxRelaunches: resolveMaxRelaunches(configData),  // browser relaunches per worker after crashes
         logFilePath,  // Pass the detailed log path
         downloadBaseName: baseName,  // Use base name (without timestamp) for download folder
       });
 
       await runner.init();
-      const summary = await runner.start();
-
-      // Update account last used
-      await this.accountManager.updateLastUsed(configData.account);
+      let summary = await runner.start();
+
+      // Update last-used data of each account with its counts
+      await this.accountManager.recordJobUsage(jobName, summary);
+
+      // waitOnRateLimit: wait out rate limits and resume this job before moving to the next config
+      const rateLimitWait = resolveRateLimitWait(configData);
+      if (rateLimitWait.waitOnRateLimit) {
+        const scheduler = new CooldownScheduler({
+          ...rateLimitWait,
+          logger: this.logger,
+          shouldStop: () => this.shutdownRequested,
+        });
+        summary = await scheduler.runUntilDone(jobName, summary);
+      }
 
       await this.logger.info(`Config ${file} completed: ${summary.status}`);
 
@@ -474,7 +548,7 @@ export class AutoRunner {
 
         const validation = await this.validateConfig(configData, file);
         if (validation.valid) {
-          validConfigs.push({ path: configPath, file, data: configData });
+          validConfigs.push({ path: configPath, file, data: configData, targets: validation.targets });
         } else {
           invalidConfigs.push({ path: configPath, file, errors: validation.errors });
         }
@@ -491,32 +565,118 @@ export class AutoRunner {
   }
 
   /**
-   * Validate a single config
+   * "Account: <alias>" or "Accounts: <a>, <b>" of a validated config
+   * @private
    */
-  async validateConfig(configData, filename) {
-    const errors = [];
+  _describeAccounts(configData) {
+    const accounts = resolveAccounts(configData);
+    return accounts.length > 1 ? `Accounts: ${accounts.join(', ')}` : `Account: ${accounts[0]}`;
+  }
 
-    // Required fields
-    if (!configData.account) {
-      errors.push('Missing required field: account');
+  /**
+   * Warn about accounts of a config that need a new login (session expired in an earlier run,
+   * or logged out at the last verify)
+   * @returns {Promise<string[]|null>} The config's other accounts, or null if none is left
+   * @private
+   */
+  async _checkAccountHealth(file, configData) {
+    const accounts = resolveAccounts(configData);
+    const unhealthy = await this.accountManager.unhealthyAccounts(accounts);
+
+    for (const { alias, reason } of unhealthy) {
+      await this.logger.warn(`Config ${file}: account ${alias} needs a new login (${reason})`);
     }
-    if (!configData.permalink) {
-      errors.push('Missing required field: permalink');
+    if (unhealthy.length === accounts.length) {
+      console.log(chalk.yellow('           -> Skipped: not logged in (run "accounts relogin <alias>")\n'));
+      return null;
     }
-    if (!configData.prompt) {
-      errors.push('Missing required field: prompt');
+    return accounts.filter(alias => !unhealthy.some(entry => entry.alias === alias));
+  }
+
+  /**
+   * Warn about accounts of a config that another run holds a lease on
+   * @returns {Promise<string[]|null>} The free accounts, or null if none is free
+   * @private
+   */
+  async _checkAccountLocks(file, configData) {
+    const accounts = resolveAccounts(configData);
+    const busy = await RunLocks.busyAccounts(accounts);
+
+    for (const { alias, holder } of busy) {
+      await this.logger.warn(`Config ${file}: account ${alias} is in use by job ${holder.jobName} (pid ${holder.pid})`);
     }
+    if (busy.length === accounts.length) {
+      const { holder } = busy[0];
+      console.log(chalk.yellow(`           -> Skipped: account busy (job ${holder.jobName}, pid ${holder.pid})\n`));
+      return null;
+    }
+    return accounts.filter(alias => !busy.some(entry => entry.alias === alias));
+  }
+
+  /**
+   * Warn about accounts of a config that are still inside their observed rate-limit cooldown
+   * @returns {Promise<boolean>} False if every account is cooling down (and ignoreCooldown isn't set)
+   * @private
+   */
+  async _checkCooldown(file, configData) {
+    const accounts = resolveAccounts(configData);
+    const ledger = new UsageLedger();
+    await ledger.load();
+    const coolingDown = ledger.coolingDown(accounts);
+
+    for (const { account, until } of coolingDown) {
+      await this.logger.warn(`Config ${file}: account ${account} is cooling down until ${until.toLocaleString()}`);
+    }
+    if (coolingDown.length === accounts.length && !configData.ignoreCooldown) {
+      const until = new Date(Math.min(...coolingDown.map(entry => entry.until)));
+      console.log(chalk.yellow(`           -> Skipped: cooling down from a rate limit until ${until.toLocaleTimeString()}\n`));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validate a single config
+   */
+  async validateConfig(configData, filename) {
+    const errors = [];
 
-    // Permalink format
-    if (configData.permalink && !configData.permalink.includes('grok.com/imagine')) {
-      errors.push('Permalink must be a Grok Imagine URL');
+    // Required fields
+    let accounts = [];
+    if (!configData.account && !configData.accounts) {
+      errors.push('Missing required field: account (or accounts)');
+    } else {
+      try {
+        accounts = resolveAccounts(configData);
+      } catch (error) {
+        errors.push(error.message);
+      }
     }
 
-    // Count validation
-    if (configData.count !== undefined) {
-      const count = parseInt(configData.count, 10);
-      if (isNaN(count) || count < 1 || count > 1000) {
-        errors.push('Count must be between 1 and 1000');
+    // Permalink(s) and prompt(s); promptsFile paths are relative to the config directory
+    let targets = null;
+    try {
+      targets = await resolveTargets(configData, { baseDir: this.configDir });
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    // Duration / video options, success target, moderation/technical-failure retries, rate-limit waiting,
+    // adaptive parallelism, browser relaunches
+    const resolvers = [
+      resolveGenerationOptions,
+      resolveSuccessTarget,
+      resolveModerationPolicy,
+      resolveRetryPolicy,
+      resolveRateLimitWait,
+      resolveAdaptiveParallelism,
+      resolveMaxRelaunches,
+    ];
+    for (const resolve of resolvers) {
+      try {
+        resolve(configData);
+      } catch (error) {
+        errors.push(error.message);
       }
     }
 
@@ -529,10 +689,10 @@ export class AutoRunner {
     }
 
     // Account exists check
-    if (configData.account) {
-      const exists = await this.accountManager.accountExists(configData.account);
+    for (const alias of accounts) {
+      const exists = await this.accountManager.accountExists(alias);
       if (!exists) {
-        errors.push(`Account "${configData.account}" not found`);
+        errors.push(`Account "${alias}" not found`);
       }
     }
 
@@ -546,7 +706,7 @@ export class AutoRunner {
       errors.push('autoDelete requires autoDownload to be enabled');
     }
 
-    return { valid: errors.length === 0, errors };
+    return { valid: errors.length === 0, errors, targets };
   }
 
   /**
@@ -0,0 +1,189 @@
+import config from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { parseResetHint } from '../utils/rate-limit.js';
+import { AccountManager } from './accounts.js';
+import { JobManager } from './jobs.js';
+import { ParallelRunner } from './parallel-runner.js';
+import { UsageLedger } from './usage-ledger.js';
+
+/**
+ * Format a wait as "2h 05m" / "45m"
+ */
+function formatWait(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+/**
+ * Cooldown scheduler - waits out a job's rate limit and resumes the job (same manifest)
+ * until it finishes. Used by --wait-on-rate-limit and the autorun `waitOnRateLimit` setting.
+ */
+export class CooldownScheduler {
+  /**
+   * @param {Object} options - From resolveRateLimitWait(), plus:
+   * @param {number} options.cooldown - Wait when the rate-limit message has no reset hint (ms)
+   * @param {Date|null} [options.deadline] - Stop instead of waiting past this time
+   * @param {Object} [options.runnerOptions] - ParallelRunner overrides for resumed runs (e.g. parallelism)
+   * @param {Logger} [options.logger] - Logger for waiting/resuming messages (default: console only)
+   * @param {Function} [options.shouldStop] - Returns true to stop waiting (e.g. autorun shutdown)
+   */
+  constructor(options) {
+    this.cooldown = options.cooldown ?? config.RATE_LIMIT_COOLDOWN;
+    this.deadline = options.deadline || null;
+    this.runnerOptions = options.runnerOptions || {};
+    this.logger = options.logger || new Logger();
+    this.shouldStop = options.shouldStop || (() => false);
+  }
+
+  /**
+   * How long to wait before resuming a rate-limited job: the reset hint of its rate-limit
+   * message (plus RATE_LIMIT_RESET_MARGIN), otherwise the cooldown
+   * @param {Object} manifest - Job manifest
+   * @returns {{waitMs: number, fromHint: boolean}}
+   */
+  waitTime(manifest) {
+    const messages = [
+      manifest.lastError,
+      manifest.imageStage?.error,
+      ...manifest.items.filter(i => i.status === 'RATE_LIMITED').map(i => i.error),
+    ];
+    for (const message of messages) {
+      const resetMs = parseResetHint(message);
+      if (resetMs !== null) {
+        return { waitMs: resetMs + config.RATE_LIMIT_RESET_MARGIN, fromHint: true };
+      }
+    }
+    return { waitMs: this.cooldown, fromHint: false };
+  }
+
+  /**
+   * Resume a job after each rate limit until it ends otherwise, the next resume would pass
+   * the deadline, or stopping was requested
+   * @param {string} jobName - Job to resume
+   * @param {Object} summary - Summary of the run that just ended
+   * @returns {Promise<Object>} Summary of the last run
+   */
+  async runUntilDone(jobName, summary) {
+    const jobManager = new JobManager();
+    const accountManager = new AccountManager();
+
+    while (summary.status === 'STOPPED_RATE_LIMIT') {
+      const { manifest } = await jobManager.loadJob(jobName);
+      const { waitMs, fromHint } = this.waitTime(manifest);
+      const resumeAt = new Date(Date.now() + waitMs);
+
+      if (this.deadline && resumeAt > this.deadline) {
+        await this.logger.warn(
+          `Not waiting for rate limit: resuming at ${resumeAt.toLocaleString()} would pass the deadline ` +
+          `(${this.deadline.toLocaleString()}). Resume later with: run resume ${jobName}`
+        );
+        break;
+      }
+
+      await this.logger.info(
+        `Rate limited: resuming ${jobName} at ${resumeAt.toLocaleTimeString()} ` +
+        `(${formatWait(waitMs)}, ${fromHint ? 'reset time from rate-limit message' : 'cooldown'})`
+      );
+      const waitStartedAt = Date.now();
+      if (!await this._sleep(waitMs)) {
+        await this.logger.warn(`Stopped waiting for rate limit. Resume later with: run resume ${jobName}`);
+        break;
+      }
+
+      const accounts = await this._checkAccounts(jobName, this.runnerOptions.accounts || manifest.accounts, waitStartedAt);
+      if (accounts === null) {
+        break;
+      }
+      if (accounts.length === 0) {
+        const stopReason = `No logged-in account left to resume with; run "accounts relogin <alias>", then "run resume ${jobName}"`;
+        const job = await jobManager.loadJob(jobName);
+        await job.updateStatus('STOPPED_AUTH_EXPIRED', stopReason);
+        await this.logger.warn(stopReason);
+        summary = { ...summary, status: 'STOPPED_AUTH_EXPIRED', stopReason };
+        break;
+      }
+
+      const runner = ParallelRunner.fromManifest(manifest, { ...this.runnerOptions, accounts });
+      await runner.resume();
+      summary = await runner.start();
+      await accountManager.recordJobUsage(jobName, summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Check the job's accounts again before resuming: they must still exist, accounts that need a new
+   * login are left out, and if every account hit another rate limit while waiting (e.g. in another
+   * run), wait for the new cooldown too
+   * @param {string} jobName - Job to resume
+   * @param {string[]} accounts - Accounts the job would resume with
+   * @param {number} since - When the wait started (ms); older rate limits were already waited for
+   * @returns {Promise<string[]|null>} Accounts to resume with (empty: none logged in), or null to stop waiting
+   * @private
+   */
+  async _checkAccounts(jobName, accounts, since) {
+    const accountManager = new AccountManager();
+    for (;;) {
+      // The accounts may have been removed while waiting
+      for (const alias of accounts) {
+        if (!await accountManager.accountExists(alias)) {
+          throw new Error(`Account "${alias}" not found, cannot resume ${jobName}`);
+        }
+      }
+
+      const unhealthy = await accountManager.unhealthyAccounts(accounts);
+      for (const { alias, reason } of unhealthy) {
+        await this.logger.warn(`Skipping account ${alias}: ${reason}`);
+      }
+      const healthy = accounts.filter(alias => !unhealthy.some(entry => entry.alias === alias));
+      if (healthy.length === 0) {
+        return healthy;
+      }
+
+      const ledger = new UsageLedger();
+      await ledger.load();
+      const limitedAgain = ledger.coolingDown(healthy).filter(entry => Date.parse(entry.rateLimit.at) > since);
+      if (limitedAgain.length < healthy.length) {
+        return healthy;
+      }
+
+      const resumeAt = new Date(Math.min(...limitedAgain.map(entry => entry.until)));
+      if (this.deadline && resumeAt > this.deadline) {
+        await this.logger.warn(
+          `Not waiting for rate limit: the accounts were rate limited again and resuming at ${resumeAt.toLocaleString()} ` +
+          `would pass the deadline (${this.deadline.toLocaleString()}). Resume later with: run resume ${jobName}`
+        );
+        return null;
+      }
+      await this.logger.info(
+        `Rate limited again while waiting (${limitedAgain.map(entry => entry.account).join(', ')}): ` +
+        `resuming ${jobName} at ${resumeAt.toLocaleTimeString()} (${formatWait(resumeAt - Date.now())})`
+      );
+      since = Date.now();
+      if (!await this._sleep(resumeAt - Date.now())) {
+        await this.logger.warn(`Stopped waiting for rate limit. Resume later with: run resume ${jobName}`);
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Sleep in short steps so a stop request ends the wait early
+   * @returns {Promise<boolean>} False if stopped before the time was up
+   * @private
+   */
+  async _sleep(ms) {
+    const until = Date.now() + ms;
+    while (Date.now() < until) {
+      if (this.shouldStop()) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(10000, until - Date.now())));
+    }
+    return !this.shouldStop();
+  }
+}
+
+export default CooldownScheduler;
@@ -22,7 +22,7 @@ export class VideoGenerator {
 
   /**
    * Generate a single video from the current permalink (single attempt)
-   * Returns: { success, rateLimited, attempted, error }
+   * Returns: { success, rateLimited, authExpired, attempted, error, videoDuration }
    *
    * See claude.md "Generation Outcome Classification" for outcome definitions and logging levels.
    */
@@ -38,7 +38,7 @@ export class VideoGenerator {
       await this._clickGenerationButton(index);
 
       // Step 3: Wait for video generation to complete
-      await this._waitForCompletion(index);
+      const completion = await this._waitForCompletion(index);
 
       const duration = Date.now() - startTime;
       return {
@@ -47,6 +47,7 @@ export class VideoGenerator {
         attempted: true,
         contentModerated: false,
         durationMs: duration,
+        videoDuration: completion.videoDuration, // Seconds, checked against the selected duration
       };
     } catch (error) {
       // Rate limit detected before generation starts - doesn't count as attempt
@@ -76,6 +77,21 @@ export class VideoGenerator {
       lastError = error;
     }
 
+    // A logged-out page fails with missing prompt input / button errors; report it as an expired
+    // session (not attempted) so the account stops instead of failing every item
+    const authExpired = await this._detectAuthExpired();
+    if (authExpired.detected) {
+      this.logger.warn(`[Attempt ${index + 1}] Session expired (${lastError?.message})`);
+      return {
+        success: false,
+        rateLimited: false,
+        authExpired: true,
+        attempted: false,
+        contentModerated: false,
+        error: authExpired.message,
+      };
+    }
+
     // Non-rate-limit error = failed attempt
     const duration = Date.now() - startTime;
     this.logger.error(`[Attempt ${index + 1}] Failed: ${lastError?.message}`);
@@ -356,6 +372,22 @@ export class VideoGenerator {
     }
   }
 
+  /**
+   * Detect a logged-out page (session expired during the run): the login button is shown.
+   * Errors (e.g. a closed page) are not treated as logged out.
+   */
+  async _detectAuthExpired() {
+    try {
+      const loginButton = await this.page.$(selectors.LOGIN_BUTTON);
+      if (loginButton) {
+        return { detected: true, message: `AUTH_EXPIRED: Logged out of Grok (${this.page.url()})` };
+      }
+      return { detected: false, message: null };
+    } catch (error) {
+      return { detected: false, message: null };
+    }
+  }
+
   /**
    * Detect network errors
    */
@@ -419,6 +451,7 @@ export class VideoGenerator {
 
   /**
    * Verify video is actually playable
+   * @returns {Promise<number|null>} Video duration in seconds, or null if not playable
    */
   async _verifyVideoPlayable(videoElement) {
     try {
@@ -426,7 +459,7 @@ export class VideoGenerator {
       const src = await videoElement.getAttribute('src');
       if (!src) {
         this.logger.debug('Video verification failed: no src attribute');
-        return false;
+        return null;
       }
 
       // 2. Wait briefly for video to load metadata
@@ -436,21 +469,21 @@ export class VideoGenerator {
       const duration = await videoElement.evaluate(v => v.duration).catch(() => 0);
       if (!duration || duration === 0 || isNaN(duration)) {
         this.logger.debug(`Video verification failed: invalid duration (${duration})`);
-        return false;
+        return null;
       }
 
       // 4. Ensure no error messages are present
       const moderation = await this._detectContentModeration();
       if (moderation.detected) {
         this.logger.debug('Video verification failed: moderation message present');
-        return false;
+        return null;
       }
 
       this.logger.debug(`Video verified: duration=${duration.toFixed(2)}s, src=${src.substring(0, 50)}...`);
-      return true;
+      return duration;
     } catch (error) {
       this.logger.debug(`Video verification error: ${error.message}`);
-      return false;
+      return null;
     }
   }
 
@@ -480,10 +513,10 @@ export class VideoGenerator {
       // 1. Check for video completion - only if we saw generation start
       // This prevents false positives from pre-existing videos on the page
       if (video && loggedStart) {
-        const isPlayable = await this._verifyVideoPlayable(video);
-        if (isPlayable) {
+        const videoDuration = await this._verifyVideoPlayable(video);
+        if (videoDuration) {
           this.logger.success(`[Attempt ${index + 1}] Video ready and verified`);
-          return { success: true };
+          return { success: true, videoDuration };
         }
       }
 
@@ -0,0 +1,227 @@
+import config, { selectors } from '../config.js';
+
+/**
+ * Sleep utility
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Image generator - text-to-image counterpart of VideoGenerator.
+ * Generates still images from a prompt on grok.com/imagine and collects their post permalinks.
+ */
+export class ImageGenerator {
+  /**
+   * @param {import('playwright').Page} page - Playwright page instance
+   * @param {import('../utils/logger.js').Logger} logger - Logger instance
+   */
+  constructor(page, logger) {
+    this.page = page;
+    this.logger = logger;
+  }
+
+  /**
+   * Generate images from a prompt (single attempt)
+   * Returns: { success, rateLimited, contentModerated, permalinks, error }
+   * @param {string} prompt - Image prompt
+   * @param {number|'all'} pick - Number of images to keep (first N), or 'all'
+   */
+  async generate(prompt, pick = 'all') {
+    const startTime = Date.now();
+
+    try {
+      await this.page.goto(config.IMAGINE_URL, {
+        waitUntil: 'domcontentloaded',
+        timeout: config.PAGE_LOAD_TIMEOUT,
+      });
+      await sleep(3000);
+
+      await this._selectImageMode();
+
+      // Permalinks already on the page (feed, history) are not results of this prompt
+      const existing = new Set(await this._collectPermalinks());
+
+      await this._enterPrompt(prompt);
+      await this._submit();
+
+      const generated = await this._waitForResults(existing);
+      const permalinks = pick === 'all' ? generated : generated.slice(0, pick);
+
+      this.logger.success(
+        `[Images] Generated ${generated.length} image(s) in ${Math.round((Date.now() - startTime) / 1000)}s, ` +
+        `picked ${permalinks.length}`
+      );
+
+      return {
+        success: true,
+        rateLimited: false,
+        contentModerated: false,
+        permalinks,
+        durationMs: Date.now() - startTime,
+      };
+    } catch (error) {
+      const rateLimited = error.message?.includes('RATE_LIMIT') || false;
+      const contentModerated = error.message?.includes('CONTENT_MODERATED') || false;
+
+      if (rateLimited || contentModerated) {
+        this.logger.warn(`[Images] ${error.message}`);
+      } else {
+        this.logger.error(`[Images] Failed: ${error.message}`);
+      }
+
+      return {
+        success: false,
+        rateLimited,
+        contentModerated,
+        permalinks: [],
+        error: error.message,
+        durationMs: Date.now() - startTime,
+      };
+    }
+  }
+
+  /**
+   * Switch the composer to image mode if the page offers a mode toggle (best-effort)
+   * @private
+   */
+  async _selectImageMode() {
+    try {
+      const modeButton = await this.page.$(selectors.IMAGE_MODE_BUTTON);
+      if (modeButton && await modeButton.isVisible().catch(() => false)) {
+        await modeButton.click();
+        await sleep(config.UI_ACTION_DELAY);
+        this.logger.debug('[Images] Selected image mode');
+      }
+    } catch (error) {
+      this.logger.debug(`[Images] Image mode toggle not used: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fill the prompt input and verify its value
+   * @private
+   */
+  async _enterPrompt(prompt) {
+    const waitTimeout = Math.max(5000, config.ELEMENT_WAIT_TIMEOUT);
+    try {
+      await this.page.waitForSelector(selectors.PROMPT_INPUT, { timeout: waitTimeout });
+    } catch {
+      throw new Error(`Prompt input not found after ${waitTimeout}ms`);
+    }
+
+    const promptInput = await this.page.$(selectors.PROMPT_INPUT);
+    if (!promptInput) {
+      throw new Error('Prompt input element not found');
+    }
+
+    await promptInput.click({ clickCount: 3 });
+    await promptInput.fill(prompt);
+
+    const verifyValue = await promptInput.inputValue().catch(() => '');
+    if (verifyValue.trim() !== prompt.trim()) {
+      throw new Error(`Prompt verification failed: expected "${prompt.slice(0, 50)}..." but got "${verifyValue.slice(0, 50)}..."`);
+    }
+  }
+
+  /**
+   * Submit the prompt (submit button, or Enter in the prompt input)
+   * @private
+   */
+  async _submit() {
+    const button = await this.page.$(selectors.IMAGE_SUBMIT_BUTTON);
+    if (button && await button.isVisible().catch(() => false)) {
+      if (await button.isDisabled()) {
+        throw new Error('RATE_LIMIT: Submit button is disabled');
+      }
+      await button.click();
+    } else {
+      await this.page.press(selectors.PROMPT_INPUT, 'Enter');
+    }
+    this.logger.debug('[Images] Submitted prompt');
+    await sleep(config.UI_ACTION_DELAY);
+  }
+
+  /**
+   * Post permalinks currently linked from the page, in page order
+   * @private
+   */
+  async _collectPermalinks() {
+    const hrefs = await this.page.$$eval(selectors.IMAGE_RESULT_LINK, links =>
+      links.map(link => link.href)
+    ).catch(() => []);
+
+    const permalinks = [];
+    for (const href of hrefs) {
+      const permalink = href.split(/[?#]/)[0];
+      if (!permalinks.includes(permalink)) {
+        permalinks.push(permalink);
+      }
+    }
+    return permalinks;
+  }
+
+  /**
+   * Wait until new result permalinks appear and their count settles
+   * @param {Set<string>} existing - Permalinks present before submitting
+   * @returns {Promise<string[]>} New permalinks in page order
+   * @private
+   */
+  async _waitForResults(existing) {
+    const startTime = Date.now();
+    const checkInterval = 2000;
+    let lastCount = 0;
+    let stableSince = null;
+
+    while (true) {
+      const found = (await this._collectPermalinks()).filter(permalink => !existing.has(permalink));
+
+      if (found.length > 0) {
+        if (found.length !== lastCount) {
+          lastCount = found.length;
+          stableSince = Date.now();
+        } else if (Date.now() - stableSince >= config.IMAGE_RESULTS_SETTLE_DELAY) {
+          return found;
+        }
+      } else {
+        const rateLimit = await this._detect(selectors.RATE_LIMIT_TOAST);
+        if (rateLimit !== null) {
+          throw new Error(`RATE_LIMIT: ${rateLimit}`);
+        }
+        const moderation = await this._detect(selectors.CONTENT_MODERATED_MESSAGE);
+        if (moderation !== null) {
+          throw new Error(`CONTENT_MODERATED: ${moderation}`);
+        }
+        const genError = await this._detect(selectors.GENERATION_ERROR_MESSAGE);
+        if (genError !== null) {
+          throw new Error(`GENERATION_ERROR: ${genError}`);
+        }
+      }
+
+      if (Date.now() - startTime > config.IMAGE_GENERATION_TIMEOUT) {
+        if (found.length > 0) {
+          return found;
+        }
+        throw new Error(`TIMEOUT: Image generation exceeded ${config.IMAGE_GENERATION_TIMEOUT / 1000}s`);
+      }
+
+      await sleep(checkInterval);
+    }
+  }
+
+  /**
+   * Text of the first element matching a selector, or null if absent
+   * @private
+   */
+  async _detect(selector) {
+    try {
+      const element = await this.page.$(selector);
+      if (!element) return null;
+      return await element.textContent().catch(() => '');
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default ImageGenerator;
@@ -0,0 +1,744 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config.js';
+import { isTemplate, countCombinations, expandAll, sample, createRng, randomSeed } from '../utils/prompt-template.js';
+import { RETRY_ERROR_CLASSES } from './retry-policy.js';
+
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * Parse a prompts text file: one prompt per line.
+ * Blank lines and lines starting with # are ignored.
+ * A line may start with "<count> |" to override the default count for that prompt.
+ */
+function parsePromptsFile(content, defaultCount) {
+  const specs = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(\d+)\s*\|\s*(.+)$/);
+    if (match) {
+      specs.push({ prompt: match[2].trim(), count: parseInt(match[1], 10) });
+    } else {
+      specs.push({ prompt: line, count: defaultCount });
+    }
+  }
+
+  return specs;
+}
+
+/**
+ * Expand template prompts (see utils/prompt-template.js) into prompt specs.
+ * - exhaustive: one spec per combination, each with the original count
+ * - random: one spec per template; each item samples its own prompt in expandTargets,
+ *   seeded with templateSeed (+ prompt position) so the run can be reproduced
+ */
+function expandTemplateSpecs(specs, { variables, templateMode, baseSeed }) {
+  const expanded = [];
+
+  specs.forEach((spec, i) => {
+    if (!isTemplate(spec.prompt)) {
+      expanded.push(spec);
+      return;
+    }
+
+    const combinations = countCombinations(spec.prompt, variables);
+    if (templateMode === 'random') {
+      expanded.push({
+        ...spec,
+        template: spec.prompt,
+        templateMode,
+        templateSeed: baseSeed + i,
+        variables,
+      });
+      return;
+    }
+
+    if (combinations * spec.count > MAX_BATCH_SIZE) {
+      throw new Error(
+        `Prompt ${i + 1} expands to ${combinations} combinations x ${spec.count} = ${combinations * spec.count} items ` +
+        `(max ${MAX_BATCH_SIZE}); lower count or use templateMode "random"`
+      );
+    }
+    for (const { prompt, choices } of expandAll(spec.prompt, variables)) {
+      expanded.push({ prompt, count: spec.count, template: spec.prompt, templateChoices: choices });
+    }
+  });
+
+  return expanded;
+}
+
+/**
+ * Resolve the prompt specs of a config: a single `prompt`, a `prompts` array
+ * (strings or { prompt, count } objects) or a `promptsFile` (one prompt per line).
+ * Prompts may be templates, expanded with `variables` per `templateMode` / `templateSeed`.
+ * @param {Object} configData - Config file data merged with CLI options
+ * @param {Object} options
+ * @param {string} options.baseDir - Directory that relative promptsFile paths resolve against
+ * @returns {Promise<Array<{prompt: string, count: number}>>}
+ * @throws {Error} If no prompt source is given, several are given, or counts are invalid
+ */
+export async function resolvePrompts(configData, { baseDir = process.cwd() } = {}) {
+  const sources = ['prompt', 'prompts', 'promptsFile'].filter(key => configData[key] !== undefined);
+  if (sources.length === 0) {
+    throw new Error('Missing required field: prompt (or prompts / promptsFile)');
+  }
+  if (sources.length > 1) {
+    throw new Error(`Specify only one of prompt, prompts or promptsFile (got ${sources.join(', ')})`);
+  }
+
+  const defaultCount = configData.count !== undefined
+    ? parseInt(configData.count, 10)
+    : config.DEFAULT_BATCH_SIZE;
+
+  let specs;
+  if (configData.prompt !== undefined) {
+    specs = [{ prompt: configData.prompt, count: defaultCount }];
+  } else if (configData.prompts !== undefined) {
+    if (!Array.isArray(configData.prompts) || configData.prompts.length === 0) {
+      throw new Error('prompts must be a non-empty array');
+    }
+    specs = configData.prompts.map((entry) => (
+      typeof entry === 'string'
+        ? { prompt: entry, count: defaultCount }
+        : { prompt: entry?.prompt, count: entry?.count !== undefined ? parseInt(entry.count, 10) : defaultCount }
+    ));
+  } else {
+    const filePath = path.resolve(baseDir, configData.promptsFile);
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      throw new Error(`Could not read promptsFile ${filePath}: ${error.message}`);
+    }
+    specs = parsePromptsFile(content, defaultCount);
+    if (specs.length === 0) {
+      throw new Error(`promptsFile ${filePath} contains no prompts`);
+    }
+  }
+
+  specs.forEach((spec, i) => {
+    if (typeof spec.prompt !== 'string' || !spec.prompt.trim()) {
+      throw new Error(`Prompt ${i + 1} is empty`);
+    }
+    if (isNaN(spec.count) || spec.count < 1 || spec.count > MAX_BATCH_SIZE) {
+      const label = configData.prompt !== undefined ? 'Count' : `Count for prompt ${i + 1}`;
+      throw new Error(`${label} must be between 1 and ${MAX_BATCH_SIZE}`);
+    }
+  });
+
+  const templateMode = configData.templateMode ?? 'exhaustive';
+  if (templateMode !== 'exhaustive' && templateMode !== 'random') {
+    throw new Error('templateMode must be "exhaustive" or "random"');
+  }
+
+  const variables = configData.variables ?? {};
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error('variables must be an object mapping names to a value or list of values');
+  }
+
+  const baseSeed = configData.templateSeed !== undefined
+    ? parseInt(configData.templateSeed, 10)
+    : randomSeed();
+  if (isNaN(baseSeed)) {
+    throw new Error('templateSeed must be an integer');
+  }
+
+  specs = expandTemplateSpecs(specs, { variables, templateMode, baseSeed });
+
+  const total = countItems(specs);
+  if (total > MAX_BATCH_SIZE) {
+    throw new Error(`Total count across prompts must be at most ${MAX_BATCH_SIZE} (got ${total})`);
+  }
+
+  return specs;
+}
+
+/**
+ * Resolve success-target mode: with `targetSuccesses: true`, each prompt's `count` is the number
+ * of COMPLETED videos wanted rather than the number of attempts. Failed and moderated items are
+ * replaced until the target is met or the prompt has `maxAttempts` items
+ * (default: count x TARGET_SUCCESS_ATTEMPT_FACTOR).
+ * @returns {{targetSuccesses: boolean, maxAttempts: number|null}}
+ * @throws {Error} If a value is invalid
+ */
+export function resolveSuccessTarget(configData) {
+  const targetSuccesses = configData.targetSuccesses ?? false;
+  if (typeof targetSuccesses !== 'boolean') {
+    throw new Error('targetSuccesses must be true or false');
+  }
+
+  let maxAttempts = null;
+  if (configData.maxAttempts !== undefined) {
+    if (!targetSuccesses) {
+      throw new Error('maxAttempts requires targetSuccesses');
+    }
+    maxAttempts = parseInt(configData.maxAttempts, 10);
+    if (isNaN(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_BATCH_SIZE) {
+      throw new Error(`maxAttempts must be between 1 and ${MAX_BATCH_SIZE}`);
+    }
+  }
+
+  return { targetSuccesses, maxAttempts };
+}
+
+/**
+ * Resolve the content-moderation retry policy of a config (`moderation` block, see ModerationPolicy).
+ * A top-level `moderationRetries` (the --moderation-retries flag) overrides `moderation.retries`.
+ * Without either, a moderated attempt is final.
+ * @returns {{retries: number, cooldown: number, fallbackPrompts: string[], rewrites: Object<string, string>,
+ *   maxModerationRate: number|null, minAttempts: number}}
+ * @throws {Error} If a value is invalid
+ */
+export function resolveModerationPolicy(configData) {
+  const moderation = configData.moderation ?? {};
+  if (typeof moderation !== 'object' || Array.isArray(moderation)) {
+    throw new Error('moderation must be an object');
+  }
+
+  const retriesValue = configData.moderationRetries ?? moderation.retries;
+  const retries = retriesValue !== undefined ? parseInt(retriesValue, 10) : 0;
+  if (isNaN(retries) || retries < 0 || retries > config.MODERATION_RETRY_MAX) {
+    throw new Error(`moderation.retries must be between 0 and ${config.MODERATION_RETRY_MAX}`);
+  }
+
+  const cooldown = moderation.cooldown !== undefined
+    ? parseInt(moderation.cooldown, 10)
+    : config.MODERATION_RETRY_COOLDOWN;
+  if (isNaN(cooldown) || cooldown < 0) {
+    throw new Error('moderation.cooldown must be a number of milliseconds');
+  }
+
+  const fallbackPrompts = moderation.fallbackPrompts ?? [];
+  if (!Array.isArray(fallbackPrompts) || fallbackPrompts.some(p => typeof p !== 'string' || !p.trim())) {
+    throw new Error('moderation.fallbackPrompts must be a list of non-empty prompts');
+  }
+
+  const rewrites = moderation.rewrites ?? {};
+  if (typeof rewrites !== 'object' || Array.isArray(rewrites) ||
+    Object.values(rewrites).some(value => typeof value !== 'string')) {
+    throw new Error('moderation.rewrites must map words to replacement text');
+  }
+
+  let maxModerationRate = null;
+  if (moderation.maxModerationRate !== undefined) {
+    maxModerationRate = Number(moderation.maxModerationRate);
+    if (isNaN(maxModerationRate) || maxModerationRate <= 0 || maxModerationRate > 1) {
+      throw new Error('moderation.maxModerationRate must be between 0 and 1 (e.g. 0.5 for 50%)');
+    }
+  }
+
+  const minAttempts = moderation.minAttempts !== undefined
+    ? parseInt(moderation.minAttempts, 10)
+    : config.MODERATION_RATE_MIN_ATTEMPTS;
+  if (isNaN(minAttempts) || minAttempts < 1) {
+    throw new Error('moderation.minAttempts must be a positive number');
+  }
+
+  return { retries, cooldown, fallbackPrompts, rewrites, maxModerationRate, minAttempts };
+}
+
+/**
+ * Resolve the technical-failure retry policy of a config (`retryPolicy` block, see RetryPolicy).
+ * Each error class may override `maxRetries` and `baseDelay` (ms) of TECHNICAL_RETRY_POLICY;
+ * `retryPolicy: false` turns retries off.
+ * @returns {Object<string, {maxRetries: number, baseDelay: number}>}
+ * @throws {Error} If a value is invalid
+ */
+export function resolveRetryPolicy(configData) {
+  const overrides = configData.retryPolicy ?? {};
+  if (overrides === false) {
+    return Object.fromEntries(RETRY_ERROR_CLASSES.map(errorClass => [
+      errorClass,
+      { ...config.TECHNICAL_RETRY_POLICY[errorClass], maxRetries: 0 },
+    ]));
+  }
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('retryPolicy must be an object or false');
+  }
+
+  for (const errorClass of Object.keys(overrides)) {
+    if (!RETRY_ERROR_CLASSES.includes(errorClass)) {
+      throw new Error(`retryPolicy: unknown error class "${errorClass}" (use ${RETRY_ERROR_CLASSES.join(', ')})`);
+    }
+  }
+
+  const rules = {};
+  for (const errorClass of RETRY_ERROR_CLASSES) {
+    const rule = { ...config.TECHNICAL_RETRY_POLICY[errorClass], ...overrides[errorClass] };
+    const maxRetries = parseInt(rule.maxRetries, 10);
+    const baseDelay = parseInt(rule.baseDelay, 10);
+    if (isNaN(maxRetries) || maxRetries < 0 || maxRetries > 10) {
+      throw new Error(`retryPolicy.${errorClass}.maxRetries must be between 0 and 10`);
+    }
+    if (isNaN(baseDelay) || baseDelay < 0) {
+      throw new Error(`retryPolicy.${errorClass}.baseDelay must be a number of milliseconds`);
+    }
+    rules[errorClass] = { maxRetries, baseDelay };
+  }
+  return rules;
+}
+
+/**
+ * Resolve how often a worker relaunches its browser after a crash, closed page or hung page
+ * before it gives up (`maxRelaunches`, default WORKER_MAX_RELAUNCHES)
+ * @returns {number}
+ * @throws {Error} If the value is invalid
+ */
+export function resolveMaxRelaunches(configData) {
+  if (configData.maxRelaunches === undefined || configData.maxRelaunches === null) {
+    return config.WORKER_MAX_RELAUNCHES;
+  }
+  const maxRelaunches = Number(configData.maxRelaunches);
+  if (!Number.isInteger(maxRelaunches) || maxRelaunches < 0 || maxRelaunches > 20) {
+    throw new Error('maxRelaunches must be a whole number between 0 and 20');
+  }
+  return maxRelaunches;
+}
+
+/**
+ * Resolve rate-limit waiting of a config: `waitOnRateLimit`, `rateLimitCooldown` (minutes, used when
+ * the rate-limit message has no reset hint) and `waitDeadline` (date-time, or hours from now)
+ * @returns {{waitOnRateLimit: boolean, cooldown: number, deadline: Date|null}}
+ * @throws {Error} If a value is invalid
+ */
+export function resolveRateLimitWait(configData) {
+  const waitOnRateLimit = Boolean(configData.waitOnRateLimit);
+
+  let cooldown = config.RATE_LIMIT_COOLDOWN;
+  if (configData.rateLimitCooldown !== undefined) {
+    const minutes = Number(configData.rateLimitCooldown);
+    if (isNaN(minutes) || minutes <= 0) {
+      throw new Error('rateLimitCooldown must be a positive number of minutes');
+    }
+    cooldown = Math.round(minutes * 60 * 1000);
+  }
+
+  let deadline = null;
+  if (configData.waitDeadline !== undefined && configData.waitDeadline !== null) {
+    const value = configData.waitDeadline;
+    const hours = Number(value);
+    deadline = !isNaN(hours) && String(value).trim() !== ''
+      ? new Date(Date.now() + hours * 60 * 60 * 1000)
+      : new Date(value);
+    if (isNaN(deadline.getTime())) {
+      throw new Error(`waitDeadline must be a date-time or a number of hours, got "${value}"`);
+    }
+  }
+
+  if ((configData.rateLimitCooldown !== undefined || deadline) && !waitOnRateLimit) {
+    throw new Error('rateLimitCooldown and waitDeadline require waitOnRateLimit');
+  }
+
+  return { waitOnRateLimit, cooldown, deadline };
+}
+
+/**
+ * Resolve adaptive parallelism of a config: `adaptive: true`, or an object overriding `min`, `start`
+ * (workers), `interval` (seconds), `maxErrorRate` (0-1) and `latencyFactor`. `parallel` is the ceiling.
+ * @returns {{min: number, start: number, interval: number, maxErrorRate: number,
+ *   latencyFactor: number, minSamples: number}|null} Null when parallelism is fixed
+ * @throws {Error} If a value is invalid
+ */
+export function resolveAdaptiveParallelism(configData) {
+  const adaptive = configData.adaptive ?? false;
+  if (adaptive === false) {
+    return null;
+  }
+  if (adaptive !== true && (typeof adaptive !== 'object' || Array.isArray(adaptive))) {
+    throw new Error('adaptive must be true, false or an object');
+  }
+  const overrides = adaptive === true ? {} : adaptive;
+
+  const ceiling = parseInt(configData.parallel ?? config.DEFAULT_PARALLELISM, 10);
+  if (isNaN(ceiling) || ceiling < 2) {
+    throw new Error('adaptive parallelism needs parallel (the worker ceiling) of at least 2');
+  }
+
+  const min = parseInt(overrides.min ?? config.ADAPTIVE_MIN_WORKERS, 10);
+  const start = parseInt(overrides.start ?? Math.max(min, config.ADAPTIVE_START_WORKERS), 10);
+  if (isNaN(min) || min < 1 || isNaN(start) || start < min || start > ceiling) {
+    throw new Error(`adaptive.min and adaptive.start must satisfy 1 <= min <= start <= parallel (${ceiling})`);
+  }
+
+  const interval = overrides.interval !== undefined
+    ? Math.round(Number(overrides.interval) * 1000)
+    : config.ADAPTIVE_INTERVAL;
+  if (isNaN(interval) || interval < 10000) {
+    throw new Error('adaptive.interval must be at least 10 seconds');
+  }
+
+  const maxErrorRate = Number(overrides.maxErrorRate ?? config.ADAPTIVE_MAX_ERROR_RATE);
+  if (isNaN(maxErrorRate) || maxErrorRate <= 0 || maxErrorRate > 1) {
+    throw new Error('adaptive.maxErrorRate must be between 0 and 1 (e.g. 0.25 for 25%)');
+  }
+
+  const latencyFactor = Number(overrides.latencyFactor ?? config.ADAPTIVE_LATENCY_FACTOR);
+  if (isNaN(latencyFactor) || latencyFactor <= 1) {
+    throw new Error('adaptive.latencyFactor must be a number above 1');
+  }
+
+  return { min, start, interval, maxErrorRate, latencyFactor, minSamples: config.ADAPTIVE_MIN_SAMPLES };
+}
+
+/**
+ * Resolve the account pool of a config: `accounts` (a list) or `account` (one alias, or several
+ * separated by commas, e.g. --account a,b)
+ * @returns {string[]} Account aliases; the first is the job's primary account
+ * @throws {Error} If no account is given
+ */
+export function resolveAccounts(configData) {
+  let accounts = configData.accounts ?? configData.account;
+  if (typeof accounts === 'string') {
+    accounts = accounts.split(',');
+  }
+  if (accounts !== undefined && !Array.isArray(accounts)) {
+    throw new Error('accounts must be a list of account aliases');
+  }
+  accounts = [...new Set((accounts || []).map(alias => String(alias).trim()).filter(Boolean))];
+  if (accounts.length === 0) {
+    throw new Error('account (or accounts) is required');
+  }
+  return accounts;
+}
+
+/**
+ * Prompt source keys a config (or permalink entry) may use
+ */
+const PROMPT_SOURCE_KEYS = ['prompt', 'prompts', 'promptsFile'];
+
+/**
+ * Template settings a permalink entry inherits from the top level unless it sets its own
+ */
+const TEMPLATE_KEYS = ['variables', 'templateMode', 'templateSeed'];
+
+function hasPromptSource(data) {
+  return PROMPT_SOURCE_KEYS.some(key => data[key] !== undefined);
+}
+
+function pickPromptSource(data) {
+  const source = {};
+  for (const key of PROMPT_SOURCE_KEYS) {
+    if (data[key] !== undefined) source[key] = data[key];
+  }
+  return source;
+}
+
+function validatePermalink(permalink) {
+  if (typeof permalink !== 'string' || !permalink.includes('grok.com/imagine')) {
+    throw new Error('Permalink must be a Grok Imagine URL');
+  }
+}
+
+/**
+ * Resolve the targets of a config: a single `permalink`, a `permalinks` array whose
+ * entries are URLs or { permalink, prompt|prompts|promptsFile, count } objects, a `matrix`,
+ * or an `imageStage` (see resolveImageStageTarget).
+ * Entries without their own prompt source inherit the top-level one (and its count).
+ * @param {Object} configData - Config file data merged with CLI options
+ * @param {Object} options
+ * @param {string} options.baseDir - Directory that relative promptsFile paths resolve against
+ * @returns {Promise<Array<{permalink: string, prompts: Array<{prompt: string, count: number}>}>>}
+ * @throws {Error} If permalinks or prompts are missing or invalid
+ */
+export async function resolveTargets(configData, { baseDir = process.cwd() } = {}) {
+  if (configData.imageStage !== undefined) {
+    return resolveImageStageTarget(configData, baseDir);
+  }
+
+  if (configData.matrix !== undefined) {
+    return resolveMatrix(configData, baseDir);
+  }
+
+  if (configData.permalink !== undefined && configData.permalinks !== undefined) {
+    throw new Error('Specify only one of permalink or permalinks');
+  }
+
+  if (configData.permalinks === undefined) {
+    if (!configData.permalink) {
+      throw new Error('Missing required field: permalink (or permalinks)');
+    }
+    validatePermalink(configData.permalink);
+    const prompts = await resolvePrompts(configData, { baseDir });
+    return [{ permalink: configData.permalink, prompts }];
+  }
+
+  if (!Array.isArray(configData.permalinks) || configData.permalinks.length === 0) {
+    throw new Error('permalinks must be a non-empty array');
+  }
+
+  const inherited = pickPromptSource(configData);
+
+  const targets = [];
+  for (const [i, rawEntry] of configData.permalinks.entries()) {
+    const entry = typeof rawEntry === 'string' ? { permalink: rawEntry } : (rawEntry || {});
+    try {
+      validatePermalink(entry.permalink);
+      const promptSource = hasPromptSource(entry) ? entry : inherited;
+      const templateSettings = {};
+      for (const key of TEMPLATE_KEYS) {
+        const value = entry[key] ?? configData[key];
+        if (value !== undefined) templateSettings[key] = value;
+      }
+      const prompts = await resolvePrompts({
+        ...pickPromptSource(promptSource),
+        ...templateSettings,
+        count: entry.count ?? configData.count,
+      }, { baseDir });
+      targets.push({ permalink: entry.permalink, prompts });
+    } catch (error) {
+      throw new Error(`Permalink ${i + 1}: ${error.message}`);
+    }
+  }
+
+  const total = countTargetItems(targets);
+  if (total > MAX_BATCH_SIZE) {
+    throw new Error(`Total count across permalinks must be at most ${MAX_BATCH_SIZE} (got ${total})`);
+  }
+
+  return targets;
+}
+
+/**
+ * Duration keywords: longest / shortest available, or leave the menu untouched
+ */
+const DURATION_KEYWORDS = ['max', 'min', 'default'];
+
+/**
+ * Normalize a duration value: "max", "min", "default", or whole seconds (10, "10", "10s")
+ * @returns {'max'|'min'|'default'|number}
+ */
+export function parseDuration(value) {
+  if (DURATION_KEYWORDS.includes(value)) return value;
+  const match = String(value).trim().match(/^(\d+)s?$/);
+  if (!match || parseInt(match[1], 10) < 1) {
+    throw new Error(`Invalid duration "${value}". Use "max", "min", "default" or seconds like 6, "10s"`);
+  }
+  return parseInt(match[1], 10);
+}
+
+/**
+ * Label for a normalized duration ("max", "min", "default", "10s")
+ */
+export function formatDurationLabel(duration) {
+  return DURATION_KEYWORDS.includes(duration) ? duration : `${duration}s`;
+}
+
+/**
+ * Resolve the generation options of a config: `duration` (job default, "max" unless set),
+ * `videoOptions` (other "Video Options" menu choices as { name: buttonLabel }) and
+ * `strictOptions` (fail instead of falling back when an option is unavailable or the
+ * generated video doesn't match the selected duration).
+ * @returns {{duration: 'max'|'min'|'default'|number, videoOptions: Object<string, string>, strictOptions: boolean}}
+ * @throws {Error} If a value is invalid
+ */
+export function resolveGenerationOptions(configData) {
+  const duration = configData.duration !== undefined ? parseDuration(configData.duration) : 'max';
+
+  const videoOptions = configData.videoOptions ?? {};
+  if (typeof videoOptions !== 'object' || Array.isArray(videoOptions)) {
+    throw new Error('videoOptions must be an object mapping option names to menu labels');
+  }
+  for (const [name, label] of Object.entries(videoOptions)) {
+    if (typeof label !== 'string' || !label.trim()) {
+      throw new Error(`videoOptions.${name} must be a non-empty menu label`);
+    }
+  }
+
+  return {
+    duration,
+    videoOptions,
+    strictOptions: configData.strictOptions === true,
+  };
+}
+
+/**
+ * Resolve a `matrix` block into targets: every permalink x prompt x duration is a cell
+ * with `count` videos (default 1). Cells are recorded per item and used as download subfolders
+ * (<post-id>/prompt-<n>[/<duration>]).
+ * @private
+ */
+async function resolveMatrix(configData, baseDir) {
+  const { matrix } = configData;
+  if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) {
+    throw new Error('matrix must be an object with permalinks and prompts');
+  }
+  for (const key of ['permalink', 'permalinks', ...PROMPT_SOURCE_KEYS]) {
+    if (configData[key] !== undefined) {
+      throw new Error(`matrix cannot be combined with top-level ${key}`);
+    }
+  }
+
+  if (!Array.isArray(matrix.permalinks) || matrix.permalinks.length === 0) {
+    throw new Error('matrix.permalinks must be a non-empty array');
+  }
+  matrix.permalinks.forEach((permalink, i) => {
+    try {
+      validatePermalink(permalink);
+    } catch (error) {
+      throw new Error(`matrix.permalinks ${i + 1}: ${error.message}`);
+    }
+  });
+
+  const count = matrix.count !== undefined ? parseInt(matrix.count, 10) : 1;
+  if (isNaN(count) || count < 1 || count > MAX_BATCH_SIZE) {
+    throw new Error(`matrix.count must be between 1 and ${MAX_BATCH_SIZE}`);
+  }
+
+  let durations = [null]; // null = job default duration, no duration axis
+  if (matrix.durations !== undefined) {
+    if (!Array.isArray(matrix.durations) || matrix.durations.length === 0) {
+      throw new Error('matrix.durations must be a non-empty array');
+    }
+    durations = matrix.durations.map(parseDuration);
+  }
+
+  const templateSettings = {};
+  for (const key of TEMPLATE_KEYS) {
+    const value = matrix[key] ?? configData[key];
+    if (value !== undefined) templateSettings[key] = value;
+  }
+
+  let promptSpecs;
+  try {
+    promptSpecs = await resolvePrompts({ ...pickPromptSource(matrix), ...templateSettings, count }, { baseDir });
+  } catch (error) {
+    throw new Error(`matrix: ${error.message}`);
+  }
+
+  const targets = matrix.permalinks.map(permalink => ({
+    permalink,
+    prompts: promptSpecs.flatMap((spec, promptIndex) => durations.map(duration => ({
+      ...spec,
+      duration,
+      cell: [
+        permalinkFolderName(permalink),
+        `prompt-${promptIndex + 1}`,
+        duration === null ? null : formatDurationLabel(duration),
+      ].filter(Boolean).join('/'),
+    }))),
+  }));
+
+  const total = countTargetItems(targets);
+  if (total > MAX_BATCH_SIZE) {
+    throw new Error(`matrix expands to ${total} items (max ${MAX_BATCH_SIZE})`);
+  }
+
+  return targets;
+}
+
+/**
+ * Resolve an `imageStage` config ({ prompt, pick }): images are generated from the text prompt
+ * first, then the top-level prompt(s) and count apply to each picked image. The permalinks are
+ * only known once the image stage has run, so this returns a single target with a null
+ * permalink carrying the image stage; imageStageTargets() builds the real targets later.
+ * @private
+ */
+async function resolveImageStageTarget(configData, baseDir) {
+  const { imageStage } = configData;
+  if (!imageStage || typeof imageStage !== 'object' || Array.isArray(imageStage)) {
+    throw new Error('imageStage must be an object with a prompt');
+  }
+  for (const key of ['permalink', 'permalinks', 'matrix']) {
+    if (configData[key] !== undefined) {
+      throw new Error(`imageStage cannot be combined with ${key}`);
+    }
+  }
+  if (typeof imageStage.prompt !== 'string' || !imageStage.prompt.trim()) {
+    throw new Error('imageStage.prompt must be a non-empty string');
+  }
+
+  const pick = imageStage.pick === undefined || imageStage.pick === 'all'
+    ? 'all'
+    : parseInt(imageStage.pick, 10);
+  if (pick !== 'all' && (isNaN(pick) || pick < 1)) {
+    throw new Error('imageStage.pick must be "all" or a positive number');
+  }
+
+  const prompts = await resolvePrompts(configData, { baseDir });
+  if (pick !== 'all' && pick * countItems(prompts) > MAX_BATCH_SIZE) {
+    throw new Error(
+      `imageStage.pick x count = ${pick * countItems(prompts)} videos (max ${MAX_BATCH_SIZE})`
+    );
+  }
+
+  return [{ permalink: null, prompts, imageStage: { prompt: imageStage.prompt.trim(), pick } }];
+}
+
+/**
+ * Video targets for a text-to-image job once its image stage has produced permalinks:
+ * every picked image gets the same video prompts
+ * @param {Array<Object>} videoPrompts - Prompt specs of the image-stage target
+ * @param {string[]} permalinks - Picked image permalinks
+ * @throws {Error} If the images x count exceed the batch limit
+ */
+export function imageStageTargets(videoPrompts, permalinks) {
+  const targets = permalinks.map(permalink => ({ permalink, prompts: videoPrompts }));
+  const total = countTargetItems(targets);
+  if (total > MAX_BATCH_SIZE) {
+    throw new Error(`${permalinks.length} images x ${countItems(videoPrompts)} videos = ${total} (max ${MAX_BATCH_SIZE})`);
+  }
+  return targets;
+}
+
+/**
+ * Download subfolder name for a permalink (the post ID, filesystem-safe)
+ */
+export function permalinkFolderName(permalink) {
+  const segments = permalink.split(/[?#]/)[0].split('/').filter(Boolean);
+  const id = segments[segments.length - 1] || 'permalink';
+  return id.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Expand targets into a flat prompt list (each prompt tagged with its permalink) and
+ * one item spec per video. Multi-permalink jobs get a per-permalink download subfolder,
+ * matrix jobs a per-cell one. Random-mode templates are sampled here, one prompt per item.
+ * @returns {{prompts: Array<Object>, itemSpecs: Array<Object>}}
+ */
+export function expandTargets(targets) {
+  const prompts = [];
+  const itemSpecs = [];
+  const multiPermalink = targets.length > 1;
+
+  targets.forEach((target, permalinkIndex) => {
+    const permalinkSubdir = multiPermalink ? permalinkFolderName(target.permalink) : null;
+    for (const spec of target.prompts) {
+      const promptIndex = prompts.length;
+      prompts.push({ ...spec, permalink: target.permalink });
+      const rng = spec.templateMode === 'random' ? createRng(spec.templateSeed) : null;
+      for (let i = 0; i < spec.count; i++) {
+        const sampled = rng ? sample(spec.template, spec.variables, rng) : null;
+        itemSpecs.push({
+          permalink: target.permalink,
+          permalinkIndex,
+          prompt: sampled ? sampled.prompt : spec.prompt,
+          promptIndex,
+          template: spec.template ?? null,
+          templateChoices: sampled ? sampled.choices : (spec.templateChoices ?? null),
+          duration: spec.duration ?? null,
+          cell: spec.cell ?? null,
+          downloadSubdir: spec.cell ?? permalinkSubdir,
+        });
+      }
+    }
+  });
+
+  return { prompts, itemSpecs };
+}
+
+/**
+ * Total number of items a list of prompt specs expands into
+ */
+export function countItems(promptSpecs) {
+  return promptSpecs.reduce((sum, spec) => sum + spec.count, 0);
+}
+
+/**
+ * Total number of items a list of targets expands into
+ */
+export function countTargetItems(targets) {
+  return targets.reduce((sum, target) => sum + countItems(target.prompts), 0);
+}
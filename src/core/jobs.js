@@ -0,0 +1,364 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import config from '../config.js';
+import { ManifestManager } from './manifest.js';
+import { ManifestJournal } from './manifest-journal.js';
+import { MANIFEST_SCHEMA_VERSION, migrateManifest, checkManifest, repairManifest } from './manifest-schema.js';
+import { RunLocks } from './run-locks.js';
+import { formatDurationLabel } from './job-plan.js';
+
+/**
+ * Job manager for inspecting persisted job manifests (list, status, resume lookup)
+ */
+export class JobManager {
+  constructor() {
+    this.jobsDir = config.JOBS_DIR;
+  }
+
+  /**
+   * Get the durable directory for a job
+   */
+  getJobDir(jobName) {
+    return path.join(this.jobsDir, jobName);
+  }
+
+  /**
+   * Load a job's manifest
+   * @returns {Promise<ManifestManager>} Manager with manifest loaded
+   * @throws {Error} If the job has no manifest
+   */
+  async loadJob(jobName) {
+    const manager = new ManifestManager(this.getJobDir(jobName));
+    const manifest = await manager.load();
+    if (!manifest) {
+      throw new Error(`Job "${jobName}" not found. Run "grok-batch run list" to see available jobs.`);
+    }
+    return manager;
+  }
+
+  /**
+   * Load all job manifests, newest first
+   * @returns {Promise<ManifestManager[]>}
+   */
+  async loadAllJobs() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.jobsDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const jobs = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const manager = new ManifestManager(this.getJobDir(entry.name));
+      try {
+        if (await manager.load()) {
+          jobs.push(manager);
+        }
+      } catch {
+        // Skip unreadable manifests
+      }
+    }
+
+    return jobs.sort((a, b) =>
+      new Date(b.manifest.createdAt).getTime() - new Date(a.manifest.createdAt).getTime()
+    );
+  }
+
+  /**
+   * Check whether a job has items that a resume would run
+   */
+  static isResumable(manifest) {
+    if (manifest.imageStage && manifest.imageStage.status !== 'COMPLETED') {
+      return true;
+    }
+    return manifest.items.some(item =>
+      item.status === 'PENDING' || item.status === 'RATE_LIMITED' || item.status === 'IN_PROGRESS'
+    );
+  }
+
+  /**
+   * List all jobs with status and counts
+   */
+  async listJobs() {
+    const jobs = await this.loadAllJobs();
+
+    if (jobs.length === 0) {
+      console.log(chalk.yellow('\nNo jobs found.'));
+      console.log(chalk.gray('Use "grok-batch run start" to start a job.\n'));
+      return;
+    }
+
+    console.log(chalk.blue('\nJobs:\n'));
+    for (const job of jobs) {
+      const { manifest } = job;
+      const summary = job.getSummary();
+      const statusColor = JobManager._statusColor(manifest.status);
+
+      console.log(chalk.white(`  • ${manifest.jobName} `) + statusColor(`[${manifest.status}]`));
+      console.log(chalk.gray(`    Account: ${(manifest.accounts || [manifest.accountAlias]).join(', ')}`));
+      console.log(chalk.gray(
+        `    Successful: ${summary.successful}/${summary.successTarget ?? summary.totalVideos}, ` +
+        `Moderated: ${summary.contentModerated}, Failed: ${summary.failed}, ` +
+        `Remaining: ${summary.remaining + summary.rateLimited}`
+      ));
+      console.log(chalk.gray(`    Created: ${new Date(manifest.createdAt).toLocaleString()}`));
+      console.log(chalk.gray(`    Updated: ${new Date(manifest.updatedAt).toLocaleString()}`));
+      if (manifest.stopReason) {
+        console.log(chalk.gray(`    Stop reason: ${manifest.stopReason}`));
+      }
+      console.log('');
+    }
+  }
+
+  /**
+   * Print the summary breakdown for a single job
+   */
+  async showStatus(jobName) {
+    const job = await this.loadJob(jobName);
+    const { manifest } = job;
+    const summary = job.getSummary();
+
+    console.log(chalk.blue(`\n📊 Job Status: ${manifest.jobName}\n`));
+    console.log(chalk.gray(`  Account: ${(manifest.accounts || [manifest.accountAlias]).join(', ')}`));
+    if (manifest.imageStage) {
+      console.log(chalk.gray(`  Image stage: "${manifest.imageStage.prompt}" (${manifest.imageStage.status})`));
+      if (manifest.imageStage.error) {
+        console.log(chalk.yellow(`    Error: ${manifest.imageStage.error}`));
+      }
+      manifest.images.forEach((image) => {
+        console.log(chalk.gray(`    Image [${image.index + 1}] ${image.permalink}: ${image.videoIndexes.length} videos`));
+      });
+    }
+    if (summary.byPermalink.length > 1) {
+      console.log(chalk.gray(`  Permalinks: ${summary.byPermalink.length}`));
+    } else if (manifest.permalink) {
+      console.log(chalk.gray(`  Permalink: ${manifest.permalink}`));
+    }
+    if (summary.byCell.length > 0) {
+      console.log(chalk.gray(`  Matrix cells: ${summary.byCell.length}`));
+    } else if (summary.byPrompt.length > 1) {
+      console.log(chalk.gray(`  Prompts: ${summary.byPrompt.length} variants`));
+    } else {
+      console.log(chalk.gray(`  Prompt: ${manifest.prompt}`));
+    }
+    console.log(chalk.gray(`  Created: ${new Date(manifest.createdAt).toLocaleString()}`));
+    console.log(chalk.gray(`  Updated: ${new Date(manifest.updatedAt).toLocaleString()}`));
+    const settings = manifest.settings || {};
+    if (settings.duration !== undefined) {
+      const videoOptions = Object.entries(settings.videoOptions || {}).map(([name, label]) => `, ${name} ${label}`).join('');
+      console.log(chalk.gray(
+        `  Options: duration ${formatDurationLabel(settings.duration)}${videoOptions}${settings.strictOptions ? ' (strict)' : ''}`
+      ));
+    }
+    if (settings.moderation?.retries > 0) {
+      console.log(chalk.gray(`  Moderation retries: ${settings.moderation.retries} per item`));
+    }
+    console.log(chalk.gray(`  Total videos: ${summary.totalVideos}`));
+    console.log(chalk.gray(`  Total attempts: ${summary.totalAttempts}`));
+    const targetInfo = summary.successTarget !== null ? ` of ${summary.successTarget} (target)` : '';
+    console.log(chalk.green(`    ✓ Successful: ${summary.successful}${targetInfo}`));
+    if (summary.contentModerated > 0) {
+      console.log(chalk.yellow(`    ⚠ Content moderated: ${summary.contentModerated}`));
+    }
+    if (summary.moderatedAttempts > 0) {
+      console.log(chalk.gray(
+        `    Moderated attempts: ${summary.moderatedAttempts} (${summary.moderationRecovered} item(s) recovered by retry)`
+      ));
+    }
+    if (summary.failed > 0) {
+      console.log(chalk.red(`    ✗ Failed: ${summary.failed}`));
+    }
+    if (summary.technicalRetries > 0) {
+      console.log(chalk.gray(
+        `    Technical retries: ${summary.technicalRetries} (${summary.retryRecovered} recovered after retry, ` +
+        `${summary.retryExhausted} failed for good)`
+      ));
+    }
+    if (summary.rateLimited > 0) {
+      console.log(chalk.yellow(`  Rate limited: ${summary.rateLimited} (not attempted)`));
+    }
+    if (summary.relaunches > 0) {
+      console.log(chalk.yellow(`  Browser relaunches: ${summary.relaunches}`));
+    }
+    if (summary.leaseReclaims > 0) {
+      const last = manifest.leaseReclaims[manifest.leaseReclaims.length - 1];
+      console.log(chalk.yellow(
+        `  Reclaimed items: ${summary.leaseReclaims} (last: attempt ${last.index + 1}, ${last.reason}, ` +
+        `${new Date(last.at).toLocaleString()})`
+      ));
+    }
+    if (summary.durationMismatches > 0) {
+      console.log(chalk.yellow(`  ⚠ Duration mismatches: ${summary.durationMismatches}`));
+    }
+    console.log(chalk.gray(`  Remaining: ${summary.remaining}`));
+    if (summary.byCell.length > 0) {
+      console.log(chalk.gray('  By matrix cell:'));
+      summary.byCell.forEach((entry) => {
+        console.log(chalk.gray(
+          `    ${entry.cell}: ${entry.successful}/${entry.total} successful, ` +
+          `${entry.contentModerated} moderated, ${entry.failed} failed`
+        ));
+      });
+    } else if (summary.byPermalink.length > 1) {
+      console.log(chalk.gray('  By permalink:'));
+      summary.byPermalink.forEach((entry, i) => {
+        console.log(chalk.gray(
+          `    [${i + 1}] ${entry.permalink}: ${entry.successful}/${entry.total} successful, ` +
+          `${entry.contentModerated} moderated, ${entry.failed} failed`
+        ));
+      });
+    }
+    if (summary.byAccount.length > 1) {
+      console.log(chalk.gray('  By account:'));
+      summary.byAccount.forEach((entry) => {
+        const note = entry.authExpired ? ' (session expired)' : (entry.rateLimited ? ' (rate limited)' : '');
+        console.log(chalk.gray(
+          `    ${entry.account}: ${entry.successful}/${entry.total} successful, ` +
+          `${entry.contentModerated} moderated, ${entry.failed} failed${note}`
+        ));
+      });
+    }
+    if (summary.byPrompt.length > 1 && summary.byCell.length === 0) {
+      console.log(chalk.gray('  By prompt:'));
+      summary.byPrompt.forEach((entry, i) => {
+        console.log(chalk.gray(
+          `    [${i + 1}] ${entry.prompt}: ${entry.successful}/${entry.target ?? entry.total} successful` +
+          `${entry.target !== null ? ` in ${entry.total} attempts` : ''}, ` +
+          `${entry.contentModerated} moderated, ${entry.failed} failed`
+        ));
+      });
+    }
+    if (summary.downloaded > 0 || summary.downloadFailed > 0) {
+      console.log(chalk.green(`    Downloaded: ${summary.downloaded}`));
+      if (summary.downloadFailed > 0) {
+        console.log(chalk.yellow(`    Download failed: ${summary.downloadFailed}`));
+      }
+    }
+    if (summary.upscaled > 0 || summary.upscaleFailed > 0) {
+      console.log(chalk.green(`    Upscaled: ${summary.upscaled}`));
+      if (summary.upscaleFailed > 0) {
+        console.log(chalk.yellow(`    Upscale failed: ${summary.upscaleFailed}`));
+      }
+    }
+    if (summary.deleted > 0 || summary.deleteFailed > 0) {
+      console.log(chalk.green(`    Deleted: ${summary.deleted}`));
+      if (summary.deleteFailed > 0) {
+        console.log(chalk.yellow(`    Delete failed: ${summary.deleteFailed}`));
+      }
+    }
+    console.log(JobManager._statusColor(summary.status)(`  Status: ${summary.status}`));
+    if (summary.stopReason) {
+      console.log(chalk.yellow(`  Stop reason: ${summary.stopReason}`));
+    }
+    if (summary.status !== 'IN_PROGRESS' && JobManager.isResumable(manifest)) {
+      console.log(chalk.gray(`\n  Resume with: grok-batch run resume ${manifest.jobName}`));
+    }
+    console.log('');
+  }
+
+  /**
+   * Check a manifest's counters against its item statuses and print the differences;
+   * with repair, write the migrated manifest with the counters recomputed
+   * @param {string} target - manifest.json, its job directory, or a job name
+   * @param {Object} [options]
+   * @param {boolean} [options.repair] - Fix the repairable issues (refused while a run holds the job)
+   * @returns {Promise<{issues: Object[], repaired: Object[]}>}
+   */
+  async validateManifest(target, { repair = false } = {}) {
+    const runDir = await this._resolveManifestDir(target);
+    const manifest = await ManifestJournal.read(runDir);
+    if (!manifest) {
+      throw new Error(`No manifest found in ${runDir}`);
+    }
+
+    const fromVersion = manifest.schemaVersion ?? 0;
+    const migrations = migrateManifest(manifest);
+    const issues = checkManifest(manifest);
+
+    console.log(chalk.blue(`\n🔎 Manifest: ${manifest.jobName}\n`));
+    console.log(chalk.gray(`  Path: ${path.join(runDir, 'manifest.json')}`));
+    console.log(chalk.gray(
+      migrations.length > 0
+        ? `  Schema version: ${fromVersion} (migrates to ${MANIFEST_SCHEMA_VERSION} on load)`
+        : `  Schema version: ${fromVersion}`
+    ));
+    console.log(chalk.gray(`  Items: ${manifest.items.length}`));
+    console.log('');
+
+    if (issues.length === 0) {
+      console.log(chalk.green('  ✓ Counters match the items'));
+    }
+    for (const issue of issues) {
+      console.log(chalk.yellow(`  ✗ ${issue.message}${issue.repairable ? '' : ' (not repairable)'}`));
+    }
+
+    let repaired = [];
+    if (repair && (issues.some(issue => issue.repairable) || migrations.length > 0)) {
+      const holder = await RunLocks.jobLock(runDir).holder();
+      if (holder) {
+        throw new Error(`Job "${manifest.jobName}" is running (pid ${holder.pid}); repair it once the run has stopped`);
+      }
+
+      repaired = repairManifest(manifest);
+      const manager = new ManifestManager(runDir);
+      manager.manifest = manifest;
+      await manager.save();
+
+      console.log('');
+      if (repaired.length > 0) {
+        console.log(chalk.green(`  ✓ Repaired: ${repaired.map(issue => issue.field).join(', ')}`));
+      }
+      if (migrations.length > 0) {
+        console.log(chalk.green(`  ✓ Saved as schema version ${MANIFEST_SCHEMA_VERSION}`));
+      }
+    } else if (issues.some(issue => issue.repairable)) {
+      console.log(chalk.gray('\n  Run again with --repair to recompute the counters from the items.'));
+    }
+    console.log('');
+
+    return { issues, repaired };
+  }
+
+  /**
+   * Job directory of a manifest.json path, a job directory or a job name
+   * @private
+   */
+  async _resolveManifestDir(target) {
+    const stat = await fs.stat(target).catch(() => null);
+    if (stat?.isDirectory()) {
+      return target;
+    }
+    if (stat) {
+      // Any other file (a backup, an export) would have the manifest.json next to it checked instead
+      if (path.basename(target) !== 'manifest.json') {
+        throw new Error(`"${target}" is not a manifest.json; pass a job's manifest.json, job directory or job name`);
+      }
+      return path.dirname(target);
+    }
+    const jobDir = this.getJobDir(target);
+    if (!path.isAbsolute(target) && await fs.stat(jobDir).catch(() => null)) {
+      return jobDir;
+    }
+    throw new Error(`"${target}" is neither a manifest, a job directory nor a job name`);
+  }
+
+  /**
+   * Pick a display color for a job status
+   * @private
+   */
+  static _statusColor(status) {
+    if (status === 'COMPLETED') return chalk.green;
+    if (status === 'FAILED') return chalk.red;
+    if (status === 'IN_PROGRESS' || status === 'PENDING') return chalk.blue;
+    return chalk.yellow;
+  }
+}
+
+export default JobManager;
@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config.js';
+import { writeJsonAtomic } from '../utils/atomic-write.js';
+
+/**
+ * Manifest journal - append-only log of manifest changes (manifest.journal) on top of the
+ * manifest.json snapshot, for runs whose process holds the authoritative manifest in memory.
+ *
+ * Each change appends one JSON line: { seq, at, set: { <field>: value }, items: { <index>: item } }
+ * with the top-level fields and items the change touched (recorded by ManifestManager). Every
+ * MANIFEST_JOURNAL_COMPACT_EVERY entries the manifest is written to the snapshot (recording the last
+ * included `journalSeq`) and the journal is emptied; entries up to `journalSeq` are skipped on replay,
+ * so a crash between the two steps loses nothing.
+ */
+export class ManifestJournal {
+  /**
+   * @param {string} runDir - Job directory holding manifest.json
+   */
+  constructor(runDir) {
+    this.snapshotPath = path.join(runDir, 'manifest.json');
+    this.journalPath = path.join(runDir, 'manifest.journal');
+    this.seq = 0; // Last journal entry written
+    this.entries = 0; // Entries since the last compaction
+    this.compacted = false; // Snapshot written by this process; false = compact on the next write
+  }
+
+  /**
+   * Read a job's manifest: the snapshot with the journal entries after it applied. A torn last line
+   * (process killed mid-append) ends the replay.
+   * @param {string} runDir - Job directory
+   * @returns {Promise<Object|null>} The manifest (journalSeq = last applied entry), or null without a snapshot
+   */
+  static async read(runDir) {
+    const journal = new ManifestJournal(runDir);
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(journal.snapshotPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let lines = [];
+    try {
+      lines = (await fs.readFile(journal.journalPath, 'utf-8')).split('\n');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        break;
+      }
+      if (entry.seq <= (manifest.journalSeq || 0)) continue;
+
+      Object.assign(manifest, entry.set);
+      for (const [index, item] of Object.entries(entry.items)) {
+        manifest.items[index] = item;
+      }
+      manifest.journalSeq = entry.seq;
+    }
+    return manifest;
+  }
+
+  /**
+   * Forget what is on disk (after the manifest was loaded again); the next append() compacts
+   */
+  reset() {
+    this.compacted = false;
+  }
+
+  /**
+   * Append the given fields and items of the manifest to the journal (or write the snapshot
+   * when nothing was written yet or the journal is due for compaction)
+   * @param {Object} manifest - In-memory manifest
+   * @param {{fields: Set<string>, items: Set<number>}} changes - Top-level fields and item indexes changed
+   *   since the last write
+   */
+  async append(manifest, { fields, items }) {
+    if (!this.compacted) {
+      await this.compact(manifest);
+      return;
+    }
+    if (fields.size === 0 && items.size === 0) return;
+
+    const entry = { seq: this.seq + 1, at: new Date().toISOString(), set: {}, items: {} };
+    for (const key of fields) {
+      entry.set[key] = manifest[key];
+    }
+    for (const index of items) {
+      entry.items[index] = manifest.items[index];
+    }
+
+    this.seq = entry.seq;
+    await fs.appendFile(this.journalPath, `${JSON.stringify(entry)}\n`, 'utf-8');
+    if (++this.entries >= config.MANIFEST_JOURNAL_COMPACT_EVERY) {
+      await this.compact(manifest);
+    }
+  }
+
+  /**
+   * Write the manifest to the snapshot and empty the journal
+   * @param {Object} manifest - In-memory manifest
+   */
+  async compact(manifest) {
+    this.seq = Math.max(this.seq, manifest.journalSeq || 0);
+    manifest.journalSeq = this.seq;
+    await writeJsonAtomic(this.snapshotPath, manifest);
+    await fs.writeFile(this.journalPath, '', 'utf-8');
+
+    this.entries = 0;
+    this.compacted = true;
+  }
+}
+
+export default ManifestJournal;
@@ -0,0 +1,215 @@
+/**
+ * Manifest schema version written by ManifestManager.createManifest
+ */
+export const MANIFEST_SCHEMA_VERSION = 1;
+
+/**
+ * Status counters of a manifest and the item status each one counts
+ */
+export const STATUS_COUNTERS = {
+  completedCount: 'COMPLETED',
+  failedCount: 'FAILED',
+  contentModeratedCount: 'CONTENT_MODERATED',
+  rateLimitedCount: 'RATE_LIMITED',
+};
+
+/**
+ * Post-processing counters and the item flag each one counts
+ * (the *FailedCount counters have no per-item record and can't be checked)
+ */
+export const FLAG_COUNTERS = {
+  downloadedCount: 'downloaded',
+  upscaledCount: 'upscaled',
+  deletedCount: 'deleted',
+};
+
+const ITEM_STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'FAILED', 'CONTENT_MODERATED', 'RATE_LIMITED'];
+
+/**
+ * Migrations in order; each one takes a manifest of schemaVersion `version - 1` to `version`.
+ * A migration is frozen once released: it lists the fields it fills instead of reusing
+ * createManifest()/createItem(), which keep changing.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'fill the fields added before schema versioning',
+    up(manifest) {
+      const permalink = manifest.permalink ?? null;
+
+      fillDefaults(manifest, {
+        accounts: [manifest.accountAlias],
+        rateLimitedAccounts: [],
+        authExpiredAccounts: [],
+        permalinks: [permalink],
+        prompts: [{ prompt: manifest.prompt, count: manifest.batchSize ?? manifest.items.length }],
+        settings: {},
+        jobType: manifest.imageStage ? 'text-to-image-to-video' : 'image-to-video',
+        imageStage: null,
+        images: [],
+        targetSuccesses: false,
+        maxAttempts: null,
+        retryPolicy: null,
+        nextIndex: 0,
+        ...expectedCounters(manifest), // Counters older manifests didn't have start from what their items record
+        downloadFailedCount: 0,
+        upscaleFailedCount: 0,
+        deleteFailedCount: 0,
+        relaunchCount: 0,
+        leaseReclaims: [],
+        lastError: null,
+        stopReason: null,
+      });
+
+      manifest.items.forEach((item, index) => fillDefaults(item, {
+        index,
+        permalink,
+        permalinkIndex: 0,
+        promptIndex: 0,
+        template: null,
+        templateChoices: null,
+        duration: null,
+        cell: null,
+        downloadSubdir: null,
+        parentImageIndex: null,
+        replacementFor: null,
+        selectedOptions: null,
+        videoDuration: null,
+        durationVerified: null,
+        generationMs: null,
+        moderationHistory: [],
+        promptUsed: null,
+        account: null,
+        retries: 0,
+        retryAfter: null,
+        attemptHistory: [],
+        workerId: null,
+        claimedAt: null,
+        heartbeatAt: null,
+        leaseExpiresAt: null,
+        attempts: 0,
+        createdAt: null,
+        completedAt: null,
+        error: null,
+        downloaded: false,
+        downloadPath: null,
+        upscaled: false,
+        upscaleDownloadPath: null,
+        deleted: false,
+      }));
+    },
+  },
+];
+
+/**
+ * Bring a manifest up to MANIFEST_SCHEMA_VERSION in place (manifests without schemaVersion are version 0)
+ * @param {Object} manifest - Manifest as read from disk
+ * @returns {number[]} Versions of the migrations applied (empty if it was current)
+ */
+export function migrateManifest(manifest) {
+  const from = manifest.schemaVersion ?? 0;
+  if (from > MANIFEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Manifest of job "${manifest.jobName}" has schema version ${from}, newer than this version supports ` +
+      `(${MANIFEST_SCHEMA_VERSION}); update grok-batch`
+    );
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version > from) {
+      migration.up(manifest);
+      manifest.schemaVersion = migration.version;
+      applied.push(migration.version);
+    }
+  }
+  return applied;
+}
+
+/**
+ * Inconsistencies of a (migrated) manifest: counters that disagree with the item statuses and flags,
+ * and items that can't be right
+ * @param {Object} manifest - Manifest at MANIFEST_SCHEMA_VERSION
+ * @returns {Array<{field: string, message: string, expected?: number, actual?: *, repairable: boolean}>}
+ */
+export function checkManifest(manifest) {
+  const issues = [];
+  const expected = expectedCounters(manifest);
+
+  for (const [field, value] of Object.entries(expected)) {
+    if (manifest[field] !== value) {
+      issues.push({
+        field,
+        message: `${field} is ${manifest[field]}, items say ${value}`,
+        expected: value,
+        actual: manifest[field],
+        repairable: true,
+      });
+    }
+  }
+
+  manifest.items.forEach((item, position) => {
+    if (item.index !== position) {
+      issues.push({
+        field: `items[${position}].index`,
+        message: `Item at position ${position} has index ${item.index}`,
+        repairable: false,
+      });
+    }
+    if (!ITEM_STATUSES.includes(item.status)) {
+      issues.push({
+        field: `items[${position}].status`,
+        message: `Item ${position} has unknown status ${item.status}`,
+        repairable: false,
+      });
+    }
+  });
+
+  if (manifest.batchSize !== manifest.items.length) {
+    issues.push({
+      field: 'batchSize',
+      message: `batchSize is ${manifest.batchSize}, the manifest has ${manifest.items.length} items`,
+      expected: manifest.items.length,
+      actual: manifest.batchSize,
+      repairable: true,
+    });
+  }
+  return issues;
+}
+
+/**
+ * Set the repairable fields reported by checkManifest() to the values the items imply
+ * @param {Object} manifest - Manifest at MANIFEST_SCHEMA_VERSION (changed in place)
+ * @returns {Array<Object>} The issues that were repaired
+ */
+export function repairManifest(manifest) {
+  const repaired = checkManifest(manifest).filter(issue => issue.repairable);
+  for (const issue of repaired) {
+    manifest[issue.field] = issue.expected;
+  }
+  return repaired;
+}
+
+/**
+ * Counter values implied by the items
+ */
+function expectedCounters(manifest) {
+  const count = (predicate) => manifest.items.filter(predicate).length;
+  return {
+    ...Object.fromEntries(Object.entries(STATUS_COUNTERS).map(([counter, status]) =>
+      [counter, count(i => i.status === status)])),
+    ...Object.fromEntries(Object.entries(FLAG_COUNTERS).map(([counter, flag]) =>
+      [counter, count(i => i[flag] === true)])),
+  };
+}
+
+/**
+ * Set the fields of `target` that are undefined
+ */
+function fillDefaults(target, defaults) {
+  for (const [key, value] of Object.entries(defaults)) {
+    if (target[key] === undefined) {
+      target[key] = value;
+    }
+  }
+}
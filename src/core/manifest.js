@@ -1,41 +1,95 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { FileLock } from '../utils/lock.js';
+import { FileLock, MemoryLock } from '../utils/lock.js';
+import { writeJsonAtomic } from '../utils/atomic-write.js';
+import config from '../config.js';
+import { RetryPolicy } from './retry-policy.js';
+import { ManifestJournal } from './manifest-journal.js';
+import { MANIFEST_SCHEMA_VERSION, STATUS_COUNTERS, migrateManifest } from './manifest-schema.js';
 
 /**
  * Manifest manager for tracking run state
  * Thread-safe with file locking for parallel execution
  */
 export class ManifestManager {
-  constructor(runDir) {
+  /**
+   * @param {string} runDir - Job directory
+   * @param {Object} [options]
+   * @param {boolean} [options.journal] - Keep the manifest in memory (this process is the only writer)
+   *   and append changes to manifest.journal instead of rewriting manifest.json (see ManifestJournal)
+   */
+  constructor(runDir, options = {}) {
     this.runDir = runDir;
     this.manifestPath = path.join(runDir, 'manifest.json');
     this.lockPath = path.join(runDir, 'manifest.lock');
-    this.lock = new FileLock(this.lockPath);
+    this.journal = options.journal ? new ManifestJournal(runDir) : null;
+    this.lock = this.journal ? new MemoryLock() : new FileLock(this.lockPath);
     this.manifest = null;
+    this.changes = { fields: new Set(), items: new Set() }; // Touched since the last write (journal entries)
   }
 
   /**
    * Create a new manifest
+   * @param {Object} options
+   * @param {Array<{prompt: string, count: number}>} [options.prompts] - Prompt variants (default: single prompt x batchSize)
+   * @param {Array<Object>} [options.itemSpecs] - Per-item fields (permalink, prompt, promptIndex, duration,
+   *   cell, downloadSubdir); defines batchSize when given
+   * @param {Object} [options.imageStage] - Text-to-image jobs: { prompt, pick, videoPrompts }; items are
+   *   added by completeImageStageAtomic() once the images exist
+   * @param {boolean} [options.targetSuccesses] - Prompt counts are success targets; failed items are replaced
+   * @param {number} [options.maxAttempts] - Per-prompt item cap in targetSuccesses mode
+   * @param {Object} [options.retryPolicy] - Technical-failure retry rules per error class (resolveRetryPolicy)
+   * @param {string[]} [options.accounts] - Account pool (default: [accountAlias])
    */
   static createManifest(options) {
     const {
       accountAlias,
       permalink,
       prompt,
-      batchSize,
       jobName = `job_${Date.now()}`,
+      settings = {},
+      imageStage = null,
+      targetSuccesses = false,
+      maxAttempts = null,
+      retryPolicy = null,
+      accounts = [accountAlias],
     } = options;
+    const prompts = options.prompts || [{ prompt, count: options.batchSize }];
+    const itemSpecs = options.itemSpecs ||
+      Array.from({ length: options.batchSize }, () => ({ prompt, promptIndex: 0 }));
+    const batchSize = itemSpecs.length;
+    const permalinks = [...new Set(itemSpecs.map(spec => spec.permalink || permalink))];
 
     return {
       id: uuidv4(),
+      schemaVersion: MANIFEST_SCHEMA_VERSION, // Older manifests are migrated on load (see manifest-schema.js)
       jobName,
       accountAlias,
-      permalink,
-      prompt,
+      accounts, // Account pool; workers are spread across it
+      rateLimitedAccounts: [], // Accounts of the pool that hit a rate limit in this run
+      authExpiredAccounts: [], // Accounts of the pool whose session expired in this run
+      permalink: permalinks.length === 1 ? permalinks[0] : null,
+      permalinks,
+      prompt: prompts.length === 1 ? prompts[0].prompt : null,
+      prompts,
       batchSize,
-      status: 'PENDING', // PENDING, IN_PROGRESS, COMPLETED, STOPPED_RATE_LIMIT, FAILED
+      settings, // Runner settings (parallelism, autoDownload, ...) reused on resume
+      jobType: imageStage ? 'text-to-image-to-video' : 'image-to-video',
+      imageStage: imageStage ? {
+        prompt: imageStage.prompt,
+        pick: imageStage.pick,
+        videoPrompts: imageStage.videoPrompts, // Prompt specs applied to every picked image
+        status: 'PENDING', // PENDING, IN_PROGRESS, COMPLETED, FAILED, CONTENT_MODERATED, RATE_LIMITED
+        attempts: 0,
+        error: null,
+        completedAt: null,
+      } : null,
+      images: [], // Text-to-image jobs: [{ index, permalink, videoIndexes }]
+      targetSuccesses, // true: each prompt's count is a success target (see _replaceIfShort)
+      maxAttempts, // Per-prompt item cap in targetSuccesses mode (null = count x TARGET_SUCCESS_ATTEMPT_FACTOR)
+      retryPolicy, // Technical-failure retries per error class (see _scheduleRetry); null = no retries
+      status: 'PENDING', // PENDING, IN_PROGRESS, COMPLETED, STOPPED_RATE_LIMIT, STOPPED_AUTH_EXPIRED, INTERRUPTED, FAILED
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       nextIndex: 0,
@@ -49,42 +103,86 @@ export class ManifestManager {
       upscaleFailedCount: 0,
       deletedCount: 0,
       deleteFailedCount: 0,
-      items: Array.from({ length: batchSize }, (_, i) => ({
-        index: i,
-        status: 'PENDING', // PENDING, IN_PROGRESS, COMPLETED, FAILED, CONTENT_MODERATED, RATE_LIMITED
-        attempts: 0,
-        createdAt: null,
-        completedAt: null,
-        error: null,
-        downloaded: false,
-        downloadPath: null,
-        upscaled: false,
-        upscaleDownloadPath: null,
-        deleted: false,
-      })),
+      relaunchCount: 0, // Worker browser relaunches after crashes, closed or hung pages
+      leaseReclaims: [], // IN_PROGRESS items put back to PENDING: { index, workerId, account, claimedAt, heartbeatAt, reason, at }
+      items: itemSpecs.map((spec, i) => ManifestManager.createItem(spec, i, permalink)),
       lastError: null,
       stopReason: null,
     };
   }
 
   /**
-   * Load existing manifest
+   * Create a manifest item (one video) from an item spec
+   * @param {Object} spec - Item spec from expandTargets()
+   * @param {number} index - Item index
+   * @param {string} [permalink] - Job permalink for specs without their own
+   */
+  static createItem(spec, index, permalink = null) {
+    return {
+      index,
+      permalink: spec.permalink || permalink,
+      permalinkIndex: spec.permalinkIndex ?? 0,
+      prompt: spec.prompt,
+      promptIndex: spec.promptIndex ?? 0,
+      template: spec.template ?? null, // Source template when the prompt was expanded from one
+      templateChoices: spec.templateChoices ?? null, // Slot -> chosen value
+      duration: spec.duration ?? null, // Requested duration ('max' or seconds); null = job default
+      cell: spec.cell ?? null, // Matrix cell key (<post-id>/prompt-<n>[/<duration>])
+      downloadSubdir: spec.downloadSubdir ?? null,
+      parentImageIndex: spec.parentImageIndex ?? null, // Text-to-image jobs: index into manifest.images
+      replacementFor: spec.replacementFor ?? null, // targetSuccesses mode: index of the failed item this replaces
+      selectedOptions: null, // Options actually used ({ duration: '10s', <name>: <menu label> })
+      videoDuration: null, // Measured length of the generated video (seconds)
+      durationVerified: null, // Whether videoDuration matched the selected duration
+      generationMs: null, // Generation time of the successful attempt
+      moderationHistory: [], // Every moderated attempt: { attempt, prompt, message, at }
+      promptUsed: null, // Prompt of the final attempt when a moderation retry changed it
+      account: null, // Account of the worker that claimed the item last
+      retries: 0, // Technical-failure retries scheduled so far
+      retryAfter: null, // Retried items aren't claimed before this time (ISO)
+      attemptHistory: [], // Every technical failure: { retry, error, errorClass, at } (INTERRUPTED: lease reclaimed)
+      workerId: null, // Worker holding the item while IN_PROGRESS
+      claimedAt: null,
+      heartbeatAt: null, // Last lease renewal by the worker
+      leaseExpiresAt: null, // IN_PROGRESS items are reclaimed after this time (ISO)
+      status: 'PENDING', // PENDING, IN_PROGRESS, COMPLETED, FAILED, CONTENT_MODERATED, RATE_LIMITED
+      attempts: 0,
+      createdAt: null,
+      completedAt: null,
+      error: null,
+      downloaded: false,
+      downloadPath: null,
+      upscaled: false,
+      upscaleDownloadPath: null,
+      deleted: false,
+    };
+  }
+
+  /**
+   * Load existing manifest (snapshot plus journal entries of a running or crashed journaled run),
+   * migrated to the current schema version; the migration is written with the next change
    */
   async load() {
-    try {
-      const data = await fs.readFile(this.manifestPath, 'utf-8');
-      this.manifest = JSON.parse(data);
-      return this.manifest;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return null;
-      }
-      throw error;
+    this.manifest = await ManifestManager.read(this.runDir);
+    this.journal?.reset();
+    return this.manifest;
+  }
+
+  /**
+   * Read and migrate a job's manifest
+   * @param {string} runDir - Job directory
+   * @returns {Promise<Object|null>} The manifest, or null if there is none
+   */
+  static async read(runDir) {
+    const manifest = await ManifestJournal.read(runDir);
+    if (manifest) {
+      migrateManifest(manifest);
     }
+    return manifest;
   }
 
   /**
-   * Save manifest to disk (with locking for thread safety)
+   * Save the whole manifest to disk (with locking for thread safety); journaled runs write a snapshot
    */
   async save() {
     if (!this.manifest) {
@@ -92,12 +190,8 @@ export class ManifestManager {
     }
 
     await this.lock.withLock(async () => {
-      this.manifest.updatedAt = new Date().toISOString();
-      await fs.writeFile(
-        this.manifestPath,
-        JSON.stringify(this.manifest, null, 2),
-        'utf-8'
-      );
+      this.journal?.reset();
+      await this._writeToFile();
     });
   }
 
@@ -106,21 +200,61 @@ export class ManifestManager {
    * @private
    */
   async _reloadFromDisk() {
-    const data = await fs.readFile(this.manifestPath, 'utf-8');
-    this.manifest = JSON.parse(data);
+    if (this.journal) {
+      return; // The in-memory manifest is authoritative
+    }
+    const manifest = await ManifestManager.read(this.runDir);
+    if (!manifest) {
+      throw new Error(`No manifest found in ${this.runDir}`);
+    }
+    this.manifest = manifest;
   }
 
   /**
-   * Write to file without acquiring lock (used within withLock)
+   * Write to file without acquiring lock (used within withLock): a journal entry with the fields and
+   * items marked by _touch()/_touchItem(), or the whole manifest through a temporary file
    * @private
    */
   async _writeToFile() {
     this.manifest.updatedAt = new Date().toISOString();
-    await fs.writeFile(
-      this.manifestPath,
-      JSON.stringify(this.manifest, null, 2),
-      'utf-8'
-    );
+    this._touch('updatedAt');
+    const changes = this.changes;
+    this.changes = { fields: new Set(), items: new Set() };
+    if (this.journal) {
+      await this.journal.append(this.manifest, changes);
+    } else {
+      await writeJsonAtomic(this.manifestPath, this.manifest);
+    }
+  }
+
+  /**
+   * Mark top-level fields as changed for the next write. Must be called inside the lock.
+   * @private
+   */
+  _touch(...fields) {
+    for (const field of fields) {
+      this.changes.fields.add(field);
+    }
+  }
+
+  /**
+   * Mark an item as changed for the next write. Must be called inside the lock.
+   * @private
+   */
+  _touchItem(item) {
+    this.changes.items.add(item.index);
+  }
+
+  /**
+   * Fold the journal into manifest.json (journaled runs; call when the run ends)
+   */
+  async flush() {
+    if (!this.journal || !this.manifest) {
+      return;
+    }
+    await this.lock.withLock(async () => {
+      await this.journal.compact(this.manifest);
+    });
   }
 
   /**
@@ -131,6 +265,11 @@ export class ManifestManager {
     if (!nextStatus || nextStatus === prevStatus) {
       return;
     }
+    this._touchItem(item);
+    this._touch(...Object.keys(STATUS_COUNTERS));
+    if (prevStatus === 'IN_PROGRESS') {
+      item.leaseExpiresAt = null; // Only in-flight items hold a lease
+    }
 
     if (prevStatus === 'COMPLETED') {
       this.manifest.completedCount = Math.max(0, this.manifest.completedCount - 1);
@@ -209,12 +348,28 @@ export class ManifestManager {
   }
 
   /**
-   * Get next pending item
+   * Get next pending item (failed items come back as PENDING when a retry is scheduled)
    */
   getNextPending() {
-    return this.manifest.items.find(item =>
-      item.status === 'PENDING' || item.status === 'FAILED'
-    );
+    const now = Date.now();
+    return this.manifest.items.find(item => this._isClaimable(item, now));
+  }
+
+  /**
+   * Whether an item is PENDING and not waiting for a retry backoff
+   * @private
+   */
+  _isClaimable(item, now) {
+    return item.status === 'PENDING' && !(item.retryAfter && Date.parse(item.retryAfter) > now);
+  }
+
+  /**
+   * Whether any item is waiting for a retry backoff (from the last loaded state)
+   */
+  hasScheduledRetries() {
+    const now = Date.now();
+    return this.manifest.status !== 'STOPPED_RATE_LIMIT' &&
+      this.manifest.items.some(i => i.status === 'PENDING' && !this._isClaimable(i, now));
   }
 
   /**
@@ -240,22 +395,124 @@ export class ManifestManager {
       totalVideos: items.length,
       status,
       stopReason,
-      downloaded: this.manifest.downloadedCount || 0,
-      downloadFailed: this.manifest.downloadFailedCount || 0,
-      upscaled: this.manifest.upscaledCount || 0,
-      upscaleFailed: this.manifest.upscaleFailedCount || 0,
-      deleted: this.manifest.deletedCount || 0,
-      deleteFailed: this.manifest.deleteFailedCount || 0,
+      downloaded: this.manifest.downloadedCount,
+      downloadFailed: this.manifest.downloadFailedCount,
+      upscaled: this.manifest.upscaledCount,
+      upscaleFailed: this.manifest.upscaleFailedCount,
+      deleted: this.manifest.deletedCount,
+      deleteFailed: this.manifest.deleteFailedCount,
+      durationMismatches: items.filter(i => i.durationVerified === false).length,
+      moderatedAttempts: items.reduce((sum, i) => sum + i.moderationHistory.length, 0),
+      moderationRecovered: completed.filter(i => i.moderationHistory.length > 0).length,
+      technicalRetries: items.reduce((sum, i) => sum + i.retries, 0),
+      relaunches: this.manifest.relaunchCount,
+      leaseReclaims: this.manifest.leaseReclaims.length,
+      interruptedAttempts: items.reduce(
+        (sum, i) => sum + i.attemptHistory.filter(entry => entry.errorClass === 'INTERRUPTED').length, 0
+      ),
+      retryRecovered: completed.filter(i => i.retries > 0).length,
+      retryExhausted: failed.filter(i => i.retries > 0).length,
+      successTarget: this.manifest.targetSuccesses
+        ? this.manifest.prompts.reduce((sum, spec) => sum + spec.count, 0)
+        : null,
+      imageStage: this.manifest.imageStage?.status ?? null,
+      images: this.manifest.images.length,
+      byPrompt: this._getPromptBreakdown(),
+      byPermalink: this._getPermalinkBreakdown(),
+      byAccount: this._getAccountBreakdown(),
+      byCell: this._getCellBreakdown(),
     };
   }
 
+  /**
+   * Per-matrix-cell outcome counts (in cell order); empty for non-matrix jobs
+   * @private
+   */
+  _getCellBreakdown() {
+    const cells = [...new Set(this.manifest.items.map(i => i.cell).filter(Boolean))];
+
+    return cells.map((cell) => {
+      const items = this.manifest.items.filter(i => i.cell === cell);
+      return {
+        cell,
+        total: items.length,
+        successful: items.filter(i => i.status === 'COMPLETED').length,
+        contentModerated: items.filter(i => i.status === 'CONTENT_MODERATED').length,
+        failed: items.filter(i => i.status === 'FAILED').length,
+      };
+    });
+  }
+
+  /**
+   * Per-permalink outcome counts (in permalink order)
+   * @private
+   */
+  _getPermalinkBreakdown() {
+    const { permalinks } = this.manifest;
+
+    return permalinks.map((permalink) => {
+      const items = this.manifest.items.filter(i => i.permalink === permalink);
+      return {
+        permalink,
+        total: items.length,
+        successful: items.filter(i => i.status === 'COMPLETED').length,
+        contentModerated: items.filter(i => i.status === 'CONTENT_MODERATED').length,
+        failed: items.filter(i => i.status === 'FAILED').length,
+      };
+    });
+  }
+
+  /**
+   * Per-account outcome counts (in pool order)
+   * @private
+   */
+  _getAccountBreakdown() {
+    const { accounts, rateLimitedAccounts, authExpiredAccounts } = this.manifest;
+
+    return accounts.map((account) => {
+      const items = this.manifest.items.filter(i => (i.account ?? this.manifest.accountAlias) === account);
+      return {
+        account,
+        rateLimited: rateLimitedAccounts.includes(account),
+        authExpired: authExpiredAccounts.includes(account),
+        total: items.filter(i => ['COMPLETED', 'CONTENT_MODERATED', 'FAILED'].includes(i.status)).length,
+        successful: items.filter(i => i.status === 'COMPLETED').length,
+        contentModerated: items.filter(i => i.status === 'CONTENT_MODERATED').length,
+        failed: items.filter(i => i.status === 'FAILED').length,
+      };
+    });
+  }
+
+  /**
+   * Per-prompt outcome counts (in prompt order)
+   * @private
+   */
+  _getPromptBreakdown() {
+    const { prompts } = this.manifest;
+
+    return prompts.map((spec, promptIndex) => {
+      const items = this.manifest.items.filter(i => i.promptIndex === promptIndex);
+      return {
+        prompt: spec.prompt,
+        target: this.manifest.targetSuccesses ? spec.count : null,
+        total: items.length,
+        successful: items.filter(i => i.status === 'COMPLETED').length,
+        contentModerated: items.filter(i => i.status === 'CONTENT_MODERATED').length,
+        failed: items.filter(i => i.status === 'FAILED').length,
+      };
+    });
+  }
+
   /**
    * Atomically claim the next pending item for a worker
    * Thread-safe for parallel execution
    * @param {string|number} workerId - Unique worker identifier
+   * @param {Object} [preferences]
+   * @param {string} [preferences.permalink] - Prefer items on this permalink (avoids re-navigation)
+   * @param {string} [preferences.account] - Account of the worker, recorded on the item
    * @returns {Promise<Object|null>} The claimed item or null if no work available
    */
-  async claimNextItem(workerId) {
+  async claimNextItem(workerId, preferences = {}) {
     return await this.lock.withLock(async () => {
       // Reload latest state from disk (another worker may have updated)
       await this._reloadFromDisk();
@@ -264,32 +521,131 @@ export class ManifestManager {
         return null;
       }
 
-      // Find first PENDING item (each item is a single attempt)
-      const item = this.manifest.items.find(i => i.status === 'PENDING');
+      // Items of workers that stopped renewing their lease (dead worker or process) are claimable again
+      const reclaimed = this._reclaimExpiredLeases();
+
+      // Find first PENDING item (each item is a single attempt), preferring the worker's current permalink;
+      // items waiting for a retry backoff are skipped until it has passed
+      const now = Date.now();
+      const item = (preferences.permalink &&
+        this.manifest.items.find(i => this._isClaimable(i, now) && i.permalink === preferences.permalink)) ||
+        this.manifest.items.find(i => this._isClaimable(i, now));
 
       if (!item) {
+        if (reclaimed > 0) {
+          await this._writeToFile();
+        }
         return null; // No work available
       }
 
       const prevStatus = item.status;
 
-      // Mark as IN_PROGRESS and assign to worker
+      // Mark as IN_PROGRESS and assign to worker under a lease the worker renews
       item.status = 'IN_PROGRESS';
       item.workerId = workerId;
       item.claimedAt = new Date().toISOString();
+      item.heartbeatAt = item.claimedAt;
+      item.leaseExpiresAt = new Date(now + config.ITEM_LEASE_TTL).toISOString();
+      item.account = preferences.account ?? this.manifest.accountAlias;
       if (!item.createdAt) {
         item.createdAt = new Date().toISOString();
       }
+      this._touchItem(item);
 
       this._applyStatusTransition(item, prevStatus, item.status);
 
       // Write immediately
       await this._writeToFile();
 
-      return item;
+      return structuredClone(item); // Later updates don't change the caller's copy
+    });
+  }
+
+  /**
+   * Renew a worker's lease on its item (heartbeat, thread-safe)
+   * @param {number} index - Item index
+   * @param {string|number} workerId - Worker that claimed the item
+   * @returns {Promise<boolean>} False when the worker no longer holds the item (its lease was reclaimed)
+   */
+  async renewLeaseAtomic(index, workerId) {
+    return await this.lock.withLock(async () => {
+      await this._reloadFromDisk();
+
+      const item = this.manifest.items[index];
+      if (!item || item.status !== 'IN_PROGRESS' || item.workerId !== workerId) {
+        return false;
+      }
+      item.heartbeatAt = new Date().toISOString();
+      item.leaseExpiresAt = new Date(Date.now() + config.ITEM_LEASE_TTL).toISOString();
+      this._touchItem(item);
+
+      await this._writeToFile();
+      return true;
     });
   }
 
+  /**
+   * Return IN_PROGRESS items whose lease has expired to PENDING. Must be called inside the lock;
+   * the caller writes the manifest.
+   * @returns {number} Number of items reclaimed
+   * @private
+   */
+  _reclaimExpiredLeases() {
+    const now = Date.now();
+    const expired = this.manifest.items.filter(item =>
+      item.status === 'IN_PROGRESS' && item.leaseExpiresAt && Date.parse(item.leaseExpiresAt) <= now
+    );
+    for (const item of expired) {
+      this._reclaimItem(item, 'lease expired');
+    }
+    return expired.length;
+  }
+
+  /**
+   * Put an interrupted IN_PROGRESS item back to PENDING, counting the attempt in its attemptHistory
+   * and recording the event in leaseReclaims. Must be called inside the lock.
+   * @private
+   */
+  _reclaimItem(item, reason) {
+    const at = new Date().toISOString();
+    item.attemptHistory.push({
+      retry: item.retries,
+      error: `INTERRUPTED: ${reason} (worker ${item.workerId ?? '?'})`,
+      errorClass: 'INTERRUPTED',
+      at,
+    });
+
+    this.manifest.leaseReclaims.push({
+      index: item.index,
+      workerId: item.workerId ?? null,
+      account: item.account ?? null,
+      claimedAt: item.claimedAt ?? null,
+      heartbeatAt: item.heartbeatAt ?? null,
+      reason,
+      at,
+    });
+    this._touch('leaseReclaims');
+
+    this._requeueItem(item);
+  }
+
+  /**
+   * Put an item back to PENDING, updating the counters of its previous status and dropping its
+   * worker, claim and lease. Must be called inside the lock.
+   * @param {Object} item - Manifest item
+   * @param {string} [prevStatus] - Status the counters still count the item under (default: item.status)
+   * @private
+   */
+  _requeueItem(item, prevStatus = item.status) {
+    this._applyStatusTransition(item, prevStatus, 'PENDING');
+    item.status = 'PENDING';
+    item.workerId = null;
+    item.claimedAt = null;
+    item.heartbeatAt = null;
+    item.leaseExpiresAt = null;
+    this._touchItem(item);
+  }
+
   /**
    * Update an item atomically (thread-safe)
    * @param {number} index - Item index
@@ -313,14 +669,297 @@ export class ManifestManager {
 
       const prevStatus = item.status;
 
-      // Apply updates
+      // Apply updates (a retryable technical failure goes back to PENDING instead of FAILED)
       Object.assign(item, updates);
-      this._applyStatusTransition(item, prevStatus, updates.status);
+      this._touchItem(item);
+      if (updates.status === 'FAILED' && this._scheduleRetry(item)) {
+        this._requeueItem(item, prevStatus);
+      } else {
+        this._applyStatusTransition(item, prevStatus, item.status);
+      }
+      if (item.status !== prevStatus) {
+        this._replaceIfShort(item);
+      }
 
       await this._writeToFile();
     });
   }
 
+  /**
+   * Record a technical failure in the item's attemptHistory and, if the job's retry policy allows
+   * another try for its error class, set its backoff. Must be called inside the lock.
+   * @returns {boolean} True when a retry was scheduled (the caller requeues the item)
+   * @private
+   */
+  _scheduleRetry(item) {
+    const policy = new RetryPolicy(this.manifest.retryPolicy);
+    const errorClass = policy.classify(item.error);
+    const retries = item.retries;
+
+    item.attemptHistory.push({
+      retry: retries,
+      error: item.error,
+      errorClass,
+      at: new Date().toISOString(),
+    });
+
+    if (!errorClass || !policy.shouldRetry(errorClass, retries)) {
+      item.retryAfter = null;
+      return false;
+    }
+
+    item.retries = retries + 1;
+    item.retryAfter = new Date(Date.now() + policy.delay(errorClass, item.retries)).toISOString();
+    return true;
+  }
+
+  /**
+   * Maximum number of items a prompt may have in targetSuccesses mode
+   * @private
+   */
+  _promptItemCap(promptIndex) {
+    const target = this.manifest.prompts[promptIndex]?.count ?? 0;
+    const cap = this.manifest.maxAttempts ?? target * config.TARGET_SUCCESS_ATTEMPT_FACTOR;
+    return Math.max(cap, target);
+  }
+
+  /**
+   * targetSuccesses mode: after an item fails or is moderated, add a replacement item for its
+   * prompt unless the prompt's successes plus unfinished items already reach the target or the
+   * prompt is at its item cap. Must be called inside the lock.
+   * @returns {Object|null} The added item
+   * @private
+   */
+  _replaceIfShort(item) {
+    if (!this.manifest.targetSuccesses) return null;
+    if (item.status !== 'FAILED' && item.status !== 'CONTENT_MODERATED') return null;
+
+    const { promptIndex } = item;
+    const group = this.manifest.items.filter(i => i.promptIndex === promptIndex);
+    const target = this.manifest.prompts[promptIndex]?.count ?? 0;
+    const succeeded = group.filter(i => i.status === 'COMPLETED').length;
+    const unfinished = group.filter(i =>
+      i.status === 'PENDING' || i.status === 'IN_PROGRESS' || i.status === 'RATE_LIMITED'
+    ).length;
+
+    if (succeeded + unfinished >= target || group.length >= this._promptItemCap(promptIndex)) {
+      return null;
+    }
+
+    const replacement = ManifestManager.createItem(
+      { ...item, replacementFor: item.index },
+      this.manifest.items.length
+    );
+    this.manifest.items.push(replacement);
+    this.manifest.batchSize = this.manifest.items.length;
+    const image = this.manifest.images?.[replacement.parentImageIndex];
+    if (image) {
+      image.videoIndexes.push(replacement.index);
+    }
+    this._touchItem(replacement);
+    this._touch('batchSize', 'images');
+    return replacement;
+  }
+
+  /**
+   * Whether new claimable items may still appear: replacements in targetSuccesses mode, or items
+   * handed back by a rate-limited or logged-out account of a pool, while items are in flight.
+   * Workers keep polling instead of exiting while this is true.
+   */
+  mayGrow() {
+    const pool = (this.manifest?.accounts?.length || 0) > 1;
+    return (Boolean(this.manifest?.targetSuccesses) || pool) &&
+      this.manifest.status !== 'STOPPED_RATE_LIMIT' &&
+      this.manifest.items.some(i => i.status === 'IN_PROGRESS');
+  }
+
+  /**
+   * Record a rate limit hit by an account while generating an item (thread-safe).
+   * While other accounts of the pool are not rate limited, the item goes back to PENDING for them;
+   * otherwise it is marked RATE_LIMITED (not attempted).
+   * @param {string} account - Rate-limited account
+   * @param {number|null} index - Item the worker was generating (null: the worker no longer holds it)
+   * @param {Object} updates - Item fields for the RATE_LIMITED case (error, attempts)
+   * @param {string|number} workerId - Worker that owns this item
+   * @returns {Promise<boolean>} True when other accounts continue
+   */
+  async rateLimitAccountAtomic(account, index, updates, workerId = null) {
+    return await this.lock.withLock(async () => {
+      await this._reloadFromDisk();
+
+      const item = index === null ? null : this.manifest.items[index];
+      if (index !== null && !item) {
+        throw new Error(`Item ${index} not found in manifest`);
+      }
+      if (item && workerId && item.workerId !== workerId) {
+        throw new Error(`Worker ${workerId} does not own item ${index}`);
+      }
+
+      this.manifest.lastError = updates.error ?? this.manifest.lastError; // Rate-limit message (reset hint)
+      const limited = this.manifest.rateLimitedAccounts;
+      if (!limited.includes(account)) {
+        limited.push(account);
+      }
+      this._touch('lastError', 'rateLimitedAccounts');
+
+      const othersContinue = this._availableAccounts().length > 0;
+      if (item && othersContinue) {
+        this._requeueItem(item);
+      } else if (item) {
+        const prevStatus = item.status;
+        Object.assign(item, updates, { status: 'RATE_LIMITED' });
+        this._touchItem(item);
+        this._applyStatusTransition(item, prevStatus, item.status);
+      }
+
+      await this._writeToFile();
+      return othersContinue;
+    });
+  }
+
+  /**
+   * Record an account whose session expired while it was generating an item (thread-safe).
+   * The item was not generated and always goes back to PENDING, for the other accounts of the
+   * pool or for a resume after `accounts relogin`.
+   * @param {string} account - Logged-out account
+   * @param {number|null} index - Item the worker was generating (null: none in flight)
+   * @param {string} error - AUTH_EXPIRED message
+   * @param {string|number} workerId - Worker that owns this item
+   * @returns {Promise<boolean>} True when other accounts continue
+   */
+  async authExpireAccountAtomic(account, index, error, workerId = null) {
+    return await this.lock.withLock(async () => {
+      await this._reloadFromDisk();
+
+      const item = index === null ? null : this.manifest.items[index];
+      if (index !== null && !item) {
+        throw new Error(`Item ${index} not found in manifest`);
+      }
+      if (item && workerId && item.workerId !== workerId) {
+        throw new Error(`Worker ${workerId} does not own item ${index}`);
+      }
+
+      this.manifest.lastError = error;
+      const expired = this.manifest.authExpiredAccounts;
+      if (!expired.includes(account)) {
+        expired.push(account);
+      }
+      this._touch('lastError', 'authExpiredAccounts');
+
+      if (item) {
+        this._requeueItem(item);
+      }
+
+      await this._writeToFile();
+      return this._availableAccounts().length > 0;
+    });
+  }
+
+  /**
+   * Put an item a worker was generating back to PENDING without recording an outcome, e.g. after
+   * its browser crashed (thread-safe). Items the worker no longer holds IN_PROGRESS are left alone.
+   * @param {number} index - Item index
+   * @param {string|number} workerId - Worker that claimed the item
+   * @returns {Promise<boolean>} True when the item was requeued
+   */
+  async releaseItemAtomic(index, workerId) {
+    return await this.lock.withLock(async () => {
+      await this._reloadFromDisk();
+
+      const item = this.manifest.items[index];
+      if (!item || item.status !== 'IN_PROGRESS' || item.workerId !== workerId) {
+        return false;
+      }
+      this._requeueItem(item);
+
+      await this._writeToFile();
+      return true;
+    });
+  }
+
+  /**
+   * Return every IN_PROGRESS item to PENDING as an interrupted attempt, e.g. when the run is
+   * interrupted (thread-safe)
+   * @param {string} reason - Recorded in attemptHistory and leaseReclaims
+   * @returns {Promise<number>} Number of items released
+   */
+  async releaseInFlightAtomic(reason) {
+    return await this.lock.withLock(async () => {
+      await this._reloadFromDisk();
+
+      const inFlight = this.manifest.items.filter(item => item.status === 'IN_PROGRESS');
+      for (const item of inFlight) {
+        this._reclaimItem(item, reason);
+      }
+      if (inFlight.length > 0) {
+        await this._writeToFile();
+      }
+      return inFlight.length;
+    });
+  }
+
+  /**
+   * Pool accounts that are neither rate limited nor logged out in this run
+   * @private
+   */
+  _availableAccounts() {
+    const { accounts, rateLimitedAccounts, authExpiredAccounts } = this.manifest;
+    const stopped = [...rateLimitedAccounts, ...authExpiredAccounts];
+    return accounts.filter(alias => !stopped.includes(alias));
+  }
+
+  /**
+   * Record a moderated attempt of an item atomically (the item stays IN_PROGRESS while retried)
+   * @param {number} index - Item index
+   * @param {{prompt: string, message: string}} entry - Prompt used and moderation message text
+   * @param {string|number} workerId - Worker that owns this item
+   */
+  async recordModerationAtomic(index, entry, workerId = null) {
+    await this.lock.withLock(async () => {
+      await this._reloadFromDisk();
+
+      const item = this.manifest.items[index];
+      if (!item) {
+        throw new Error(`Item ${index} not found in manifest`);
+      }
+      if (workerId && item.workerId !== workerId) {
+        throw new Error(`Worker ${workerId} does not own item ${index}`);
+      }
+
+      item.moderationHistory.push({
+        attempt: item.moderationHistory.length + 1,
+        prompt: entry.prompt,
+        message: entry.message,
+        at: new Date().toISOString(),
+      });
+      this._touchItem(item);
+
+      await this._writeToFile();
+    });
+  }
+
+  /**
+   * Moderated vs total generation attempts of a prompt (from the last loaded state)
+   * @returns {{attempts: number, moderated: number}}
+   */
+  getModerationStats(promptIndex) {
+    let attempts = 0;
+    let moderated = 0;
+    for (const item of this.manifest.items) {
+      if (item.promptIndex !== promptIndex) continue;
+      const itemModerated = Math.max(
+        item.moderationHistory.length,
+        item.status === 'CONTENT_MODERATED' ? 1 : 0
+      );
+      moderated += itemModerated;
+      attempts += itemModerated;
+      if (item.status === 'COMPLETED' || (item.status === 'FAILED' && item.attempts > 0)) {
+        attempts++;
+      }
+    }
+    return { attempts, moderated };
+  }
+
   /**
    * Increment a counter atomically (thread-safe)
    * @param {string} counterName - Name of the counter to increment
@@ -328,7 +967,100 @@ export class ManifestManager {
   async incrementCounterAtomic(counterName) {
     await this.lock.withLock(async () => {
       await this._reloadFromDisk();
-      this.manifest[counterName] = (this.manifest[counterName] || 0) + 1;
+      this.manifest[counterName]++;
+      this._touch(counterName);
+      await this._writeToFile();
+    });
+  }
+
+  /**
+   * Return unfinished items to PENDING so a stopped job can be resumed.
+   * RATE_LIMITED items were never attempted; IN_PROGRESS items were interrupted
+   * (process killed before the worker could record an outcome).
+   * @returns {Promise<number>} Number of items requeued
+   */
+  async requeueUnfinishedAtomic() {
+    return await this.lock.withLock(async () => {
+      await this._reloadFromDisk();
+
+      let requeued = 0;
+      for (const item of this.manifest.items) {
+        if (item.status === 'IN_PROGRESS') {
+          this._reclaimItem(item, 'run ended before the worker finished');
+        } else if (item.status === 'RATE_LIMITED') {
+          this._requeueItem(item);
+        } else {
+          continue;
+        }
+        requeued++;
+      }
+
+      // An image stage that didn't complete runs again
+      const { imageStage } = this.manifest;
+      if (imageStage && imageStage.status !== 'COMPLETED' && imageStage.status !== 'PENDING') {
+        imageStage.status = 'PENDING';
+        imageStage.error = null;
+      }
+
+      this.manifest.stopReason = null;
+      this.manifest.rateLimitedAccounts = []; // Rate limits are rechecked by the new run
+      this.manifest.authExpiredAccounts = []; // Sessions too (accounts still logged out are skipped at start)
+      this._touch('imageStage', 'stopReason', 'rateLimitedAccounts', 'authExpiredAccounts');
+      await this._writeToFile();
+      return requeued;
+    });
+  }
+
+  /**
+   * Update the image stage of a text-to-image job atomically
+   * @param {Object} updates - Fields to update (status, error, attempts)
+   */
+  async updateImageStageAtomic(updates) {
+    await this.lock.withLock(async () => {
+      await this._reloadFromDisk();
+      if (!this.manifest.imageStage) {
+        throw new Error('Job has no image stage');
+      }
+      Object.assign(this.manifest.imageStage, updates);
+      this._touch('imageStage');
+      await this._writeToFile();
+    });
+  }
+
+  /**
+   * Record the picked images of a text-to-image job and add their video items
+   * @param {string[]} permalinks - Picked image permalinks (parent images)
+   * @param {{prompts: Array<Object>, itemSpecs: Array<Object>}} plan - expandTargets() of the image targets
+   */
+  async completeImageStageAtomic(permalinks, plan) {
+    await this.lock.withLock(async () => {
+      await this._reloadFromDisk();
+
+      const offset = this.manifest.items.length;
+      const items = plan.itemSpecs.map((spec, i) => ManifestManager.createItem(
+        { ...spec, parentImageIndex: spec.permalinkIndex },
+        offset + i
+      ));
+
+      this.manifest.images = permalinks.map((permalink, index) => ({
+        index,
+        permalink,
+        videoIndexes: items.filter(item => item.parentImageIndex === index).map(item => item.index),
+      }));
+      this.manifest.items.push(...items);
+      this.manifest.permalinks = permalinks;
+      this.manifest.permalink = permalinks.length === 1 ? permalinks[0] : null;
+      this.manifest.prompts = plan.prompts;
+      this.manifest.prompt = plan.prompts.length === 1 ? plan.prompts[0].prompt : null;
+      this.manifest.batchSize = this.manifest.items.length;
+      Object.assign(this.manifest.imageStage, {
+        status: 'COMPLETED',
+        error: null,
+        completedAt: new Date().toISOString(),
+      });
+      items.forEach(item => this._touchItem(item));
+      this._touch('images', 'permalinks', 'permalink', 'prompts', 'prompt', 'batchSize', 'imageStage');
+
       await this._writeToFile();
     });
   }
@@ -345,6 +1077,7 @@ export class ManifestManager {
       if (stopReason) {
         this.manifest.stopReason = stopReason;
       }
+      this._touch('status', 'stopReason');
       await this._writeToFile();
     });
   }
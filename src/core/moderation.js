@@ -0,0 +1,84 @@
+import config from '../config.js';
+
+/**
+ * Escape a string for use in a RegExp
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Content-moderation retry policy.
+ * Decides whether a moderated item is retried and with which prompt: the same prompt,
+ * the next fallback prompt (cycling), with word rewrites applied on top.
+ */
+export class ModerationPolicy {
+  /**
+   * @param {Object} [options] - Normalized options from resolveModerationPolicy()
+   * @param {number} [options.retries] - Retries per item after a moderated attempt (0 = terminal)
+   * @param {number} [options.cooldown] - Delay before a retry (ms)
+   * @param {string[]} [options.fallbackPrompts] - Prompts cycled through on retries
+   * @param {Object<string, string>} [options.rewrites] - Word substitutions applied on retries
+   * @param {number|null} [options.maxModerationRate] - Stop retrying a prompt above this rate (0-1)
+   * @param {number} [options.minAttempts] - Attempts of a prompt before its rate is considered
+   */
+  constructor(options = {}) {
+    this.retries = options.retries ?? 0;
+    this.cooldown = options.cooldown ?? config.MODERATION_RETRY_COOLDOWN;
+    this.fallbackPrompts = options.fallbackPrompts || [];
+    this.rewrites = Object.entries(options.rewrites || {}).map(([word, replacement]) => ({
+      pattern: new RegExp(`\\b${escapeRegExp(word)}\\b`, 'gi'),
+      replacement,
+    }));
+    this.maxModerationRate = options.maxModerationRate ?? null;
+    this.minAttempts = options.minAttempts ?? config.MODERATION_RATE_MIN_ATTEMPTS;
+  }
+
+  /**
+   * Whether moderated items are retried at all
+   */
+  get enabled() {
+    return this.retries > 0;
+  }
+
+  /**
+   * Apply the word rewrites to a prompt
+   */
+  rewrite(prompt) {
+    return this.rewrites.reduce(
+      (text, { pattern, replacement }) => text.replace(pattern, replacement),
+      prompt
+    );
+  }
+
+  /**
+   * Prompt for a retry
+   * @param {string} originalPrompt - The item's own prompt
+   * @param {number} retry - Retry number (1 = first retry)
+   * @returns {string|null} Prompt to retry with, or null when the item's retries are used up
+   */
+  nextPrompt(originalPrompt, retry) {
+    if (retry > this.retries) {
+      return null;
+    }
+    const base = this.fallbackPrompts.length > 0
+      ? this.fallbackPrompts[(retry - 1) % this.fallbackPrompts.length]
+      : originalPrompt;
+    return this.rewrite(base);
+  }
+
+  /**
+   * Check a prompt's moderation stats against maxModerationRate
+   * @param {{attempts: number, moderated: number}} stats - From ManifestManager.getModerationStats()
+   * @returns {boolean} True when retries for the prompt should stop
+   */
+  rateExceeded(stats) {
+    if (this.maxModerationRate === null || stats.attempts < this.minAttempts) {
+      return false;
+    }
+    return stats.moderated / stats.attempts > this.maxModerationRate;
+  }
+}
+
+export default ModerationPolicy;
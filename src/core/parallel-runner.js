@@ -3,8 +3,13 @@ import fs from 'fs/promises';
 import chalk from 'chalk';
 import config from '../config.js';
 import { ManifestManager } from './manifest.js';
+import { expandTargets, imageStageTargets, formatDurationLabel, resolveRetryPolicy } from './job-plan.js';
 import { Logger } from '../utils/logger.js';
 import { ParallelWorker } from './worker.js';
+import { AdaptiveController } from './adaptive.js';
+import { ProfilePool } from './profile-pool.js';
+import { RunLocks } from './run-locks.js';
+import { formatBytes } from '../utils/disk.js';
 
 /**
  * Parallel Runner - coordinates multiple workers for concurrent video generation
@@ -13,100 +18,408 @@ export class ParallelRunner {
   constructor(options) {
     const {
       accountAlias,
+      accounts = null,  // Optional: account pool; workers are spread across it (accountAlias = first)
       permalink,
       prompt,
+      prompts = null,  // Optional: [{ prompt, count }] variants; overrides prompt/batchSize
+      targets = null,  // Optional: [{ permalink, prompts }] for multi-permalink jobs; overrides all of the above
+                       // (a single { permalink: null, prompts, imageStage } target makes a text-to-image job)
       batchSize = config.DEFAULT_BATCH_SIZE,
       jobName = `job_${Date.now()}`,
       parallelism = config.DEFAULT_PARALLELISM || 10,
+      adaptive = null,  // Adaptive parallelism settings (see resolveAdaptiveParallelism); parallelism is the ceiling
       autoDownload = false,
       autoUpscale = false,
       autoDelete = false,
+      duration = 'max',  // Job default duration ('max', 'min', 'default' or seconds)
+      videoOptions = {},  // Other "Video Options" menu choices: { name: menuLabel }
+      strictOptions = false,  // Fail items instead of falling back when an option is unavailable
+      targetSuccesses = false,  // Prompt counts are success targets; failed items get replacements
+      maxAttempts = null,  // Per-prompt item cap in targetSuccesses mode
+      moderation = null,  // Content-moderation retry policy (see resolveModerationPolicy)
+      retryPolicy = resolveRetryPolicy({}),  // Technical-failure retries per error class
+      maxRelaunches = config.WORKER_MAX_RELAUNCHES,  // Browser relaunches per worker after crashes
+      skipPostOnInterrupt = false,  // Ctrl-C: don't download/upscale/delete the videos that are finishing
+      handleSignals = false,  // Handle SIGINT/SIGTERM while running (single runs; autorun has its own handlers)
+      waitForAccount = false,  // Wait for accounts leased by another run instead of failing
       logFilePath = null,  // Optional: caller can specify exact log file path
     } = options;
 
-    this.accountAlias = accountAlias;
-    this.permalink = permalink;
-    this.prompt = prompt;
-    this.batchSize = batchSize;
+    this.accounts = accounts || [accountAlias];
+    this.accountAlias = this.accounts[0];
+    this.targets = targets || [{ permalink, prompts: prompts || [{ prompt, count: batchSize }] }];
+    const plan = expandTargets(this.targets);
+    // Text-to-image jobs generate their source images first; video items are added afterwards
+    this.imageStage = this.targets[0].imageStage || null;
+    this.permalink = this.imageStage ? config.IMAGINE_URL : this.targets[0].permalink;  // Workers start here and navigate per item
+    this.prompts = plan.prompts;
+    this.prompt = this.prompts.length === 1 ? this.prompts[0].prompt : null;
+    this.itemSpecs = this.imageStage ? [] : plan.itemSpecs;
+    this.batchSize = this.itemSpecs.length;
     this.jobName = jobName;
     this.parallelism = parallelism;
+    this.adaptive = adaptive;
     this.autoDownload = autoDownload;
     this.autoUpscale = autoUpscale;
     this.autoDelete = autoDelete;
+    this.duration = duration;
+    this.videoOptions = videoOptions;
+    this.strictOptions = strictOptions;
+    this.targetSuccesses = targetSuccesses;
+    this.maxAttempts = maxAttempts;
+    this.moderation = moderation;
+    this.retryPolicy = retryPolicy;
+    this.maxRelaunches = maxRelaunches;
+    this.skipPostOnInterrupt = skipPostOnInterrupt;
+    this.handleSignals = handleSignals;
+    this.waitForAccount = waitForAccount;
+    this.runLocks = new RunLocks(this.jobName, this.accounts);
 
     // Runtime state
     // If logFilePath provided, use it; otherwise default to logs/runs/<jobName>.log
     this.logFilePath = logFilePath || path.join(config.SINGLE_RUN_LOGS_DIR, `${this.jobName}.log`);
-    this.cacheDir = path.join(config.CACHE_DIR, this.jobName);  // ephemeral files (manifest, worker-profiles)
+    this.jobDir = path.join(config.JOBS_DIR, this.jobName);  // durable files (manifest), kept for resume/status
+    this.cacheDir = path.join(config.CACHE_DIR, this.jobName);  // ephemeral files (worker profiles live in the account's pool)
     // downloadBaseName allows consolidating downloads by base job name (without timestamp)
+    // downloadDir is passed explicitly when resuming so downloads land in the original folder
     const downloadFolderName = options.downloadBaseName || this.jobName;
-    this.downloadDir = autoDownload ? path.join(config.DOWNLOAD_DIR, downloadFolderName) : null;
+    this.downloadDir = autoDownload
+      ? (options.downloadDir || path.join(config.DOWNLOAD_DIR, downloadFolderName))
+      : null;
     this.manifest = null;
     this.logger = null;
     this.workers = [];
+    this.workerRuns = new Map();  // Launched worker -> its run() promise
+    this.peakWorkers = 0;
+    this.controller = adaptive ? new AdaptiveController(adaptive, parallelism) : null;
     this.rateLimitDetected = false;
+    this.authExpiredDetected = false;  // Every account of the pool was logged out (or rate limited)
+    this.stoppedAccounts = new Set();  // Pool accounts whose workers were stopped by a rate limit or expired session
+    this.lostWorkers = 0;  // Workers that gave up after maxRelaunches browser relaunches
+    this.interruptSignal = null;  // First SIGINT/SIGTERM received; workers finish their current video
+    this.forceStopping = false;  // Second signal: browsers are being closed
+    this.signalHandler = null;
     this.summaryPrinted = false;
   }
 
   /**
-   * Initialize a new parallel run
+   * Runner for an existing job, configured from its manifest and saved settings.
+   * Call resume() and then start() on it.
+   * @param {Object} manifest - Persisted job manifest
+   * @param {Object} [overrides] - Options replacing saved settings (e.g. parallelism)
+   */
+  static fromManifest(manifest, overrides = {}) {
+    const settings = manifest.settings || {};
+    const imageStagePending = manifest.imageStage && manifest.imageStage.status !== 'COMPLETED';
+
+    return new ParallelRunner({
+      accountAlias: manifest.accountAlias,
+      accounts: manifest.accounts || [manifest.accountAlias],
+      permalink: manifest.permalink || manifest.permalinks[0],
+      prompt: manifest.prompt,
+      prompts: manifest.prompts,
+      // Text-to-image jobs without images yet start over from the image stage
+      targets: imageStagePending
+        ? [{ permalink: null, prompts: manifest.imageStage.videoPrompts, imageStage: manifest.imageStage }]
+        : null,
+      batchSize: manifest.batchSize,
+      jobName: manifest.jobName,
+      parallelism: settings.parallelism ?? 1,
+      adaptive: settings.adaptive || null,
+      autoDownload: settings.autoDownload || false,
+      autoUpscale: settings.autoUpscale || false,
+      autoDelete: settings.autoDelete || false,
+      duration: settings.duration ?? 'max',
+      videoOptions: settings.videoOptions || {},
+      strictOptions: settings.strictOptions || false,
+      moderation: settings.moderation || null,
+      maxRelaunches: settings.maxRelaunches ?? config.WORKER_MAX_RELAUNCHES,
+      skipPostOnInterrupt: settings.skipPostOnInterrupt || false,
+      downloadDir: settings.downloadDir || null,
+      logFilePath: settings.logFilePath || null,
+      ...overrides,
+    });
+  }
+
+  /**
+   * Initialize a new parallel run. Locks the job name and leases its accounts until start() ends
+   * (throws if another run holds them, unless waitForAccount is set).
    */
   async init() {
-    // Create directories: parent of log file, cache for manifest and worker-profiles
+    // Claim the job name and lease the accounts before touching any job file
+    await this.runLocks.acquire({ waitForAccount: this.waitForAccount });
+    try {
+      await this._init();
+    } catch (error) {
+      await this.runLocks.release();
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _init() {
+    // A job name that already has a manifest is resumed, never started over
+    const manifestPath = path.join(this.jobDir, 'manifest.json');
+    if (await fs.access(manifestPath).then(() => true, () => false)) {
+      throw new Error(
+        `Job "${this.jobName}" already exists (${manifestPath}); ` +
+        `resume it with "run resume ${this.jobName}" or pick another --job-name`
+      );
+    }
+
+    // Create directories: parent of log file, job dir for manifest, ephemeral cache
     await fs.mkdir(path.dirname(this.logFilePath), { recursive: true });
+    await fs.mkdir(this.jobDir, { recursive: true });
     await fs.mkdir(this.cacheDir, { recursive: true });
-    await fs.mkdir(path.join(this.cacheDir, 'worker-profiles'), { recursive: true });
 
     // Initialize logger (writes to logFilePath)
     this.logger = new Logger(this.logFilePath);
     await this.logger.info('=== Parallel Run Started ===');
     await this.logger.info(`Job: ${this.jobName}`);
-    await this.logger.info(`Account: ${this.accountAlias}`);
-    await this.logger.info(`Batch size: ${this.batchSize}`);
-    await this.logger.info(`Parallelism: ${this.parallelism} workers`);
-    await this.logger.info(`Permalink: ${this.permalink}`);
+    await this.logger.info(this._describeAccounts());
+    await this.logger.info(`Batch size: ${this.imageStage ? 'set by image stage' : this.batchSize}`);
+    await this.logger.info(`Parallelism: ${this._describeParallelism()}`);
+    await this.logger.info(`Generation options: ${this._describeOptions()}`);
+    if (this.targetSuccesses) {
+      await this.logger.info(
+        `Success target: ${this.batchSize || 'per image'} (max attempts per prompt: ` +
+        `${this.maxAttempts ?? `${config.TARGET_SUCCESS_ATTEMPT_FACTOR}x count`})`
+      );
+    }
+    if (this.moderation?.retries > 0) {
+      await this.logger.info(`Moderation retries: ${this._describeModeration()}`);
+    }
+    await this.logger.info(
+      `Technical retries: ${Object.entries(this.retryPolicy).map(([name, rule]) => `${name} ${rule.maxRetries}`).join(', ')}`
+    );
+    await this.logger.info(`Browser relaunches: up to ${this.maxRelaunches} per worker`);
+    await this._logTargets();
 
-    // Initialize manifest (stored in cacheDir)
-    this.manifest = new ManifestManager(this.cacheDir);
+    // Initialize manifest (stored in jobDir so it survives cleanup)
+    this.manifest = new ManifestManager(this.jobDir, { journal: config.MANIFEST_JOURNAL });
     await this.manifest.init({
       accountAlias: this.accountAlias,
+      accounts: this.accounts,
       permalink: this.permalink,
       prompt: this.prompt,
-      batchSize: this.batchSize,
+      prompts: this.prompts,
+      itemSpecs: this.itemSpecs,
       jobName: this.jobName,
+      settings: this._getSettings(),
+      imageStage: this.imageStage && { ...this.imageStage, videoPrompts: this.targets[0].prompts },
+      targetSuccesses: this.targetSuccesses,
+      maxAttempts: this.maxAttempts,
+      retryPolicy: this.retryPolicy,
     });
 
     await this.logger.info(`Log file: ${this.logFilePath}`);
+    await this.logger.info(`Job directory: ${this.jobDir}`);
     await this.logger.info(`Cache directory: ${this.cacheDir}`);
     await this.logger.success('Initialization complete');
   }
 
+  /**
+   * Resume an existing job from its persisted manifest.
+   * Requeues RATE_LIMITED and interrupted IN_PROGRESS items; call start() afterwards.
+   * Takes the same locks as init().
+   */
+  async resume() {
+    await this.runLocks.acquire({ waitForAccount: this.waitForAccount });
+    try {
+      await this._resume();
+    } catch (error) {
+      await this.runLocks.release();
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _resume() {
+    this.manifest = new ManifestManager(this.jobDir, { journal: config.MANIFEST_JOURNAL });
+    const manifest = await this.manifest.load();
+    if (!manifest) {
+      throw new Error(`No manifest found for job "${this.jobName}" in ${this.jobDir}`);
+    }
+
+    await fs.mkdir(path.dirname(this.logFilePath), { recursive: true });
+
+    this.logger = new Logger(this.logFilePath);
+    await this.logger.info('=== Parallel Run Resumed ===');
+    await this.logger.info(`Job: ${this.jobName}`);
+    await this.logger.info(`Previous status: ${manifest.status}${manifest.stopReason ? ` (${manifest.stopReason})` : ''}`);
+
+    const requeued = await this.manifest.requeueUnfinishedAtomic();
+    const summary = this.manifest.getSummary();
+
+    await this.logger.info(this._describeAccounts());
+    await this.logger.info(`Requeued items: ${requeued}`);
+    await this.logger.info(`Remaining items: ${summary.remaining}/${summary.totalVideos}`);
+    await this.logger.info(`Parallelism: ${this._describeParallelism()}`);
+    await this.logger.info(`Permalink: ${this.permalink}`);
+
+    const imageStagePending = manifest.imageStage && manifest.imageStage.status !== 'COMPLETED';
+    if (imageStagePending) {
+      await this.logger.info(`Image stage: pending ("${manifest.imageStage.prompt}")`);
+    }
+
+    if (summary.remaining === 0 && !imageStagePending) {
+      throw new Error(`Job "${this.jobName}" has no remaining items to resume`);
+    }
+
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await this.logger.success('Resume initialization complete');
+  }
+
+  /**
+   * Log the permalink(s) and prompt (or prompt variants with their counts)
+   * @private
+   */
+  async _logTargets() {
+    if (this.imageStage) {
+      await this.logger.info(`Image stage: "${this.imageStage.prompt}" (pick ${this.imageStage.pick})`);
+      for (const [i, spec] of this.prompts.entries()) {
+        await this.logger.info(`  Video prompt [${i + 1}] x${spec.count} per image: ${spec.prompt}`);
+      }
+      return;
+    }
+    if (this.targets.length > 1) {
+      await this.logger.info(`Permalinks: ${this.targets.length}`);
+    }
+    let lastPermalink = null;
+    for (const [i, spec] of this.prompts.entries()) {
+      if (spec.permalink !== lastPermalink) {
+        await this.logger.info(`Permalink: ${spec.permalink}`);
+        lastPermalink = spec.permalink;
+      }
+      const templateInfo = spec.templateMode === 'random' ? ` (random template, seed ${spec.templateSeed})` : '';
+      const cellInfo = spec.cell ? ` [cell ${spec.cell}]` : '';
+      await this.logger.info(`  [${i + 1}] x${spec.count}${cellInfo}${templateInfo}: ${spec.prompt}`);
+    }
+  }
+
+  /**
+   * Runner settings persisted in the manifest so resume can reuse them
+   * @private
+   */
+  _getSettings() {
+    return {
+      parallelism: this.parallelism,
+      adaptive: this.adaptive,
+      autoDownload: this.autoDownload,
+      autoUpscale: this.autoUpscale,
+      autoDelete: this.autoDelete,
+      duration: this.duration,
+      videoOptions: this.videoOptions,
+      strictOptions: this.strictOptions,
+      moderation: this.moderation,
+      maxRelaunches: this.maxRelaunches,
+      skipPostOnInterrupt: this.skipPostOnInterrupt,
+      downloadDir: this.downloadDir,
+      logFilePath: this.logFilePath,
+    };
+  }
+
+  /**
+   * One-line description of the generation options for logs and summaries
+   * @private
+   */
+  _describeOptions() {
+    const parts = [`duration ${formatDurationLabel(this.duration)}`];
+    for (const [name, label] of Object.entries(this.videoOptions)) {
+      parts.push(`${name} ${label}`);
+    }
+    if (this.strictOptions) {
+      parts.push('strict');
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * "<n> workers", or the adaptive range
+   * @private
+   */
+  _describeParallelism() {
+    if (!this.controller) {
+      return `${this.parallelism} workers`;
+    }
+    const { min, start, max } = this.controller;
+    return `adaptive, ${start} workers to start (${min}-${max}), evaluated every ${Math.round(this.adaptive.interval / 1000)}s`;
+  }
+
+  /**
+   * Worker count for the run summary
+   * @private
+   */
+  _describeWorkerCount() {
+    return this.controller
+      ? `${this.peakWorkers} at peak (adaptive, ceiling ${this.parallelism})`
+      : `${this.parallelism}`;
+  }
+
+  /**
+   * Browser relaunches of the job, with this run's per-worker counts and workers that gave up
+   * @private
+   */
+  _describeRelaunches(summary) {
+    const perWorker = this.workers
+      .filter(w => w.relaunches > 0)
+      .map(w => `worker ${w.workerId}: ${w.relaunches}`);
+    const lost = this.lostWorkers > 0 ? `; ${this.lostWorkers} worker(s) gave up after ${this.maxRelaunches}` : '';
+    return `${summary.relaunches}${perWorker.length > 0 ? ` (${perWorker.join(', ')})` : ''}${lost}`;
+  }
+
+  /**
+   * "Account: <alias>", or the pool with the number of workers per account
+   * @private
+   */
+  _describeAccounts() {
+    if (this.accounts.length === 1) {
+      return `Account: ${this.accountAlias}`;
+    }
+    const perAccount = this.accounts.map((alias, i) => {
+      const workers = Math.floor(this.parallelism / this.accounts.length) + (i < this.parallelism % this.accounts.length ? 1 : 0);
+      return `${alias} (${workers} worker${workers === 1 ? '' : 's'})`;
+    });
+    return `Accounts: ${perAccount.join(', ')}`;
+  }
+
+  /**
+   * One-line description of the moderation retry policy
+   * @private
+   */
+  _describeModeration() {
+    const { retries, cooldown, fallbackPrompts, rewrites, maxModerationRate } = this.moderation;
+    const parts = [`${retries} per item, ${Math.round(cooldown / 1000)}s cooldown`];
+    if (fallbackPrompts.length > 0) {
+      parts.push(`${fallbackPrompts.length} fallback prompt(s)`);
+    }
+    if (Object.keys(rewrites).length > 0) {
+      parts.push(`${Object.keys(rewrites).length} rewrite(s)`);
+    }
+    if (maxModerationRate !== null) {
+      parts.push(`stop above ${Math.round(maxModerationRate * 100)}% moderated`);
+    }
+    return parts.join(', ');
+  }
+
   /**
    * Start parallel execution
    */
   async start() {
+    if (this.handleSignals) {
+      this._installSignalHandlers();
+    }
     try {
       await this.manifest.updateStatusAtomic('IN_PROGRESS');
 
-      // Create workers
-      for (let i = 0; i < this.parallelism; i++) {
-        const worker = new ParallelWorker(
-          i,
-          this.accountAlias,
-          this.permalink,
-          this.prompt,
-          this.manifest,
-          this.logger,
-          this.cacheDir,
-          {
-            autoDownload: this.autoDownload,
-            autoUpscale: this.autoUpscale,
-            autoDelete: this.autoDelete,
-            downloadDir: this.downloadDir,
-            jobName: this.jobName,
-          }
-        );
-        this.workers.push(worker);
+      // Create workers (spread round-robin across the account pool); adaptive runs start small
+      const initialWorkers = this.controller ? this.controller.start : this.parallelism;
+      for (let i = 0; i < initialWorkers; i++) {
+        this.workers.push(this._createWorker(i, this.accounts[i % this.accounts.length]));
       }
 
       // Initialize all workers in parallel
@@ -124,31 +437,34 @@ export class ParallelRunner {
 
       const successfulWorkers = this.workers.filter(w => w.context !== null);
       await this.logger.success(`${successfulWorkers.length} workers initialized successfully`);
+      await this._logProfilePools();
 
       if (successfulWorkers.length === 0) {
         throw new Error('No workers initialized successfully');
       }
 
+      // Text-to-image jobs: generate the source images before any video work exists
+      const { imageStage } = this.manifest.manifest;
+      if (imageStage && imageStage.status !== 'COMPLETED') {
+        const imagesReady = await this._runImageStage(successfulWorkers[0]);
+        if (!imagesReady) {
+          await this._printSummary();
+          this.summaryPrinted = true;
+          return this.manifest.getSummary();
+        }
+      }
+
       // Start all workers in parallel
       await this.logger.info('Starting parallel video generation...');
-      const workerPromises = successfulWorkers.map(worker =>
-        worker.run().catch(error => {
-          // Catch errors but don't stop other workers
-          if (error.message === 'RATE_LIMIT_STOP') {
-            if (!this.rateLimitDetected) {
-              this.rateLimitDetected = true;
-              this.logger.warn(`Rate limit detected by worker ${worker.workerId}`);
-              this.logger.info('Signaling all workers to stop gracefully...');
-              this.logger.info('Workers will complete their current video before shutting down');
-              this.workers.forEach(w => w.stop());
-            }
-          }
-          return { error, workerId: worker.workerId };
-        })
-      );
+      successfulWorkers.forEach(worker => this._launchWorker(worker));
+
+      // Adaptive runs add and stop workers until the work runs out
+      if (this.controller) {
+        await this._adaptParallelism();
+      }
 
       // Wait for all workers to complete
-      const results = await Promise.allSettled(workerPromises);
+      const results = await Promise.allSettled([...this.workerRuns.values()]);
 
       // Check results
       const errors = results
@@ -158,10 +474,19 @@ export class ParallelRunner {
       await this.manifest.load();
       const manifestStatus = this.manifest.manifest?.status;
 
-      if (this.rateLimitDetected || manifestStatus === 'STOPPED_RATE_LIMIT') {
+      if (this.interruptSignal) {
+        await this._markInterrupted();
+      } else if (this.rateLimitDetected || manifestStatus === 'STOPPED_RATE_LIMIT') {
         await this.logger.warn('Run stopped due to rate limit');
         await this.manifest.updateStatusAtomic('STOPPED_RATE_LIMIT', 'Rate limit detected');
-      } else if (errors.length > 0 && errors.length === successfulWorkers.length) {
+      } else if (this.authExpiredDetected) {
+        const expired = this.manifest.manifest.authExpiredAccounts || [];
+        await this.logger.warn('Run stopped due to expired session');
+        await this.manifest.updateStatusAtomic(
+          'STOPPED_AUTH_EXPIRED',
+          `Session expired on ${expired.join(', ')}; run "accounts relogin <alias>", then resume the job`
+        );
+      } else if (errors.length > 0 && errors.length === this.workerRuns.size) {
         // All workers failed
         await this.logger.error('All workers failed');
         await this.manifest.updateStatusAtomic('FAILED', 'All workers failed');
@@ -186,7 +511,406 @@ export class ParallelRunner {
         this.summaryPrinted = true;
       }
       await this.cleanup();
+      await this.manifest.flush();
+      await this.runLocks.release();
+      this._removeSignalHandlers();
+    }
+  }
+
+  /**
+   * Stop the run after the current videos: workers finish the video they are generating (without
+   * post-processing when skipPostOnInterrupt is set) and take no new work. The job ends INTERRUPTED.
+   * @param {string} [signal] - Signal that triggered the stop
+   */
+  interrupt(signal = 'SIGINT') {
+    if (this.interruptSignal) {
+      return;
     }
+    this.interruptSignal = signal;
+    this.logger.warn(`${signal} received: workers finish their current video, then stop`);
+    console.log(chalk.gray('Press Ctrl+C again to force quit.'));
+    this.workers.forEach(w => w.stop({ skipPostProcessing: this.skipPostOnInterrupt }));
+  }
+
+  /**
+   * Close every browser now, return the videos in flight to PENDING and mark the job INTERRUPTED
+   * (second signal). The caller exits the process afterwards.
+   */
+  async forceStop() {
+    this.forceStopping = true;
+    console.log(chalk.yellow('\nForce quit: closing browsers...'));
+    this.workers.forEach(w => w.stop());
+    await Promise.allSettled(this.workers.map(w => w.shutdown()));
+    await this._markInterrupted(' (forced)');
+    await this.manifest.flush();
+    await this.cleanupOperationalFiles();
+    await this.runLocks.release();
+  }
+
+  /**
+   * Release the items still IN_PROGRESS and set the INTERRUPTED status with a resume hint
+   * @private
+   */
+  async _markInterrupted(detail = '') {
+    const released = await this.manifest.releaseInFlightAtomic('run interrupted');
+    if (released > 0) {
+      await this.logger.info(`Released ${released} video(s) in progress`);
+    }
+    await this.logger.warn(`Run interrupted by ${this.interruptSignal}${detail}`);
+    await this.manifest.updateStatusAtomic(
+      'INTERRUPTED',
+      `Interrupted by ${this.interruptSignal}${detail}; resume with "run resume ${this.jobName}"`
+    );
+  }
+
+  /**
+   * First SIGINT/SIGTERM: interrupt(); second: forceStop() and exit; a third exits at once
+   * @private
+   */
+  _installSignalHandlers() {
+    this.signalHandler = (signal) => {
+      if (!this.interruptSignal) {
+        this.interrupt(signal);
+      } else if (!this.forceStopping) {
+        this.forceStop()
+          .catch(error => console.error(chalk.red(`Force quit failed: ${error.message}`)))
+          .finally(() => process.exit(130));
+      } else {
+        process.exit(130);
+      }
+    };
+    process.on('SIGINT', this.signalHandler);
+    process.on('SIGTERM', this.signalHandler);
+  }
+
+  /**
+   * @private
+   */
+  _removeSignalHandlers() {
+    if (this.signalHandler) {
+      process.off('SIGINT', this.signalHandler);
+      process.off('SIGTERM', this.signalHandler);
+      this.signalHandler = null;
+    }
+  }
+
+  /**
+   * Create a worker for an account (initialize() and _launchWorker() it afterwards)
+   * @private
+   */
+  _createWorker(workerId, accountAlias) {
+    return new ParallelWorker(
+      workerId,
+      accountAlias,
+      this.permalink,
+      this.prompt,
+      this.manifest,
+      this.logger,
+      this.cacheDir,
+      {
+        autoDownload: this.autoDownload,
+        autoUpscale: this.autoUpscale,
+        autoDelete: this.autoDelete,
+        downloadDir: this.downloadDir,
+        jobName: this.jobName,
+        duration: this.duration,
+        videoOptions: this.videoOptions,
+        strictOptions: this.strictOptions,
+        moderation: this.moderation,
+        maxRelaunches: this.maxRelaunches,
+      }
+    );
+  }
+
+  /**
+   * Log size and disk usage of the warm profile pool of each account
+   * @private
+   */
+  async _logProfilePools() {
+    for (const alias of this.accounts) {
+      try {
+        const { slots, leased, bytes } = await new ProfilePool(alias).stats();
+        await this.logger.info(`Profile pool ${alias}: ${slots} slot(s), ${leased} in use, ${formatBytes(bytes)} on disk`);
+      } catch (error) {
+        await this.logger.warn(`Profile pool ${alias}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Start an initialized worker's loop; its errors are collected instead of stopping other workers
+   * @private
+   */
+  _launchWorker(worker) {
+    const run = worker.run().catch(error => {
+      if (error.message === 'RATE_LIMIT_STOP') {
+        this._handleAccountStop(worker, 'Rate limit');
+      } else if (error.message === 'AUTH_EXPIRED_STOP') {
+        this._handleAccountStop(worker, 'Expired session');
+      } else if (error.message.startsWith('BROWSER_CRASHED')) {
+        this.lostWorkers++;
+      }
+      return { error, workerId: worker.workerId };
+    });
+    this.workerRuns.set(worker, run);
+    this.peakWorkers = Math.max(this.peakWorkers, this._activeWorkers().length);
+    return run;
+  }
+
+  /**
+   * Workers running and not asked to stop
+   * @private
+   */
+  _activeWorkers() {
+    return this.workers.filter(w => w.isRunning && !w.shouldStop);
+  }
+
+  /**
+   * Adaptive parallelism loop: every interval, collect the window's metrics, let the controller
+   * pick a worker count and add or stop workers. Ends when no worker is running or on a run-wide rate limit.
+   * @private
+   */
+  async _adaptParallelism() {
+    const seenRateLimits = new Set(this.manifest.manifest.rateLimitedAccounts || []);
+    let since = Date.now();
+
+    const stopped = () => this.rateLimitDetected || this.authExpiredDetected || this.interruptSignal;
+    while (this.workers.some(w => w.isRunning) && !stopped()) {
+      await this._waitForWorkers(this.adaptive.interval);
+      if (!this.workers.some(w => w.isRunning) || stopped()) {
+        break;
+      }
+
+      const now = Date.now();
+      const metrics = this._collectMetrics(since, now, seenRateLimits);
+      since = now;
+
+      const active = this._activeWorkers();
+      const { target, reason } = this.controller.decide(active.length, metrics);
+      const decision = `${active.length} -> ${target} workers (${reason}) | ${this._formatMetrics(metrics)}`;
+
+      if (target > active.length) {
+        await this.logger.info(`Adaptive parallelism: ${decision}`);
+        await this._addWorker();
+      } else if (target < active.length) {
+        await this.logger.warn(`Adaptive parallelism: ${decision}`);
+        this._retireWorkers(active, active.length - target);
+      } else {
+        await this.logger.logToFileOnly(`Adaptive parallelism: ${decision}`);
+      }
+    }
+  }
+
+  /**
+   * Wait until all launched workers have finished, or at most ms
+   * @private
+   */
+  async _waitForWorkers(ms) {
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...this.workerRuns.values()]),
+      new Promise(resolve => { timer = setTimeout(resolve, ms); }),
+    ]);
+    clearTimeout(timer);
+  }
+
+  /**
+   * Metrics of one adaptive window (since..now) from the shared manifest: attempts by outcome,
+   * technical failures by error class, average success latency, new pool rate limits and queued items
+   * @param {Set<string>} seenRateLimits - Rate-limited accounts already reported (updated)
+   * @private
+   */
+  _collectMetrics(since, now, seenRateLimits) {
+    const { items, rateLimitedAccounts = [] } = this.manifest.manifest;
+    const inWindow = at => {
+      const time = at ? Date.parse(at) : NaN;
+      return time > since && time <= now;
+    };
+
+    const completed = items.filter(i => i.status === 'COMPLETED' && inWindow(i.completedAt));
+    const failures = items.flatMap(i => i.attemptHistory || []).filter(entry => inWindow(entry.at));
+    const moderated = items.flatMap(i => i.moderationHistory || []).filter(entry => inWindow(entry.at));
+    const latencies = completed.map(i => i.generationMs).filter(ms => typeof ms === 'number');
+    const rateLimited = rateLimitedAccounts.filter(account => !seenRateLimits.has(account));
+    rateLimited.forEach(account => seenRateLimits.add(account));
+
+    const timeouts = failures.filter(entry => entry.errorClass === 'TIMEOUT').length;
+    const networkErrors = failures.filter(entry => entry.errorClass === 'NETWORK_ERROR').length;
+    return {
+      attempts: completed.length + moderated.length + failures.length,
+      successes: completed.length,
+      moderated: moderated.length,
+      timeouts,
+      networkErrors,
+      otherErrors: failures.length - timeouts - networkErrors,
+      avgLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      rateLimited,
+      queued: items.filter(i => i.status === 'PENDING').length,
+    };
+  }
+
+  /**
+   * One-line description of an adaptive window's metrics for the decision log
+   * @private
+   */
+  _formatMetrics(metrics) {
+    const parts = [
+      `${metrics.attempts} attempts (${metrics.successes} ok, ${metrics.moderated} moderated)`,
+      `timeouts ${metrics.timeouts}`,
+      `network errors ${metrics.networkErrors}`,
+      `other errors ${metrics.otherErrors}`,
+      `error rate ${Math.round(this.controller.errorRate(metrics) * 100)}%`,
+      `avg latency ${metrics.avgLatencyMs !== null ? `${Math.round(metrics.avgLatencyMs / 1000)}s` : 'n/a'}`,
+      `queued ${metrics.queued}`,
+    ];
+    if (metrics.rateLimited.length > 0) {
+      parts.push(`rate limited ${metrics.rateLimited.join(', ')}`);
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * Start one more worker on the pool account with the fewest active workers (skipping rate-limited
+   * and logged-out ones)
+   * @private
+   */
+  async _addWorker() {
+    const limited = new Set([
+      ...(this.manifest.manifest.rateLimitedAccounts || []),
+      ...(this.manifest.manifest.authExpiredAccounts || []),
+      ...this.stoppedAccounts,
+    ]);
+    const active = this._activeWorkers();
+    const candidates = this.accounts.filter(alias => !limited.has(alias));
+    if (candidates.length === 0) {
+      return;
+    }
+    const count = alias => active.filter(w => w.accountAlias === alias).length;
+    const account = candidates.reduce((best, alias) => (count(alias) < count(best) ? alias : best));
+
+    const worker = this._createWorker(this.workers.length, account);
+    this.workers.push(worker);
+    try {
+      await worker.initialize();
+    } catch (error) {
+      await this.logger.error(`Worker ${worker.workerId} initialization failed`, error);
+      return;
+    }
+    if (!this.rateLimitDetected && !this.authExpiredDetected && !this.interruptSignal) {
+      this._launchWorker(worker);
+    }
+  }
+
+  /**
+   * Stop workers to back off, idle ones first, then the most recently added. Each finishes its current
+   * video; its browser is closed once it has exited.
+   * @private
+   */
+  _retireWorkers(active, count) {
+    const byPreference = [...active].sort((a, b) =>
+      (a.currentIndex !== null) - (b.currentIndex !== null) || b.workerId - a.workerId
+    );
+    for (const worker of byPreference.slice(0, count)) {
+      worker.stop();
+      this.workerRuns.get(worker)
+        ?.then(() => worker.shutdown())
+        .catch(error => this.logger.warn(`Worker ${worker.workerId} cleanup error: ${error.message}`));
+    }
+  }
+
+  /**
+   * React to a worker's rate limit or expired session: stop the workers of its account, or all
+   * workers once no other account of the pool has running workers
+   * @param {ParallelWorker} worker - Worker that signalled the stop
+   * @param {'Rate limit'|'Expired session'} cause - Why the account stopped
+   * @private
+   */
+  _handleAccountStop(worker, cause) {
+    if (this.rateLimitDetected || this.authExpiredDetected) {
+      return;
+    }
+
+    const limited = new Set([
+      ...(this.manifest.manifest?.rateLimitedAccounts || []),
+      ...(this.manifest.manifest?.authExpiredAccounts || []),
+    ]);
+    limited.add(worker.accountAlias);
+    const others = this.workers.filter(w => w.isRunning && !w.shouldStop && !limited.has(w.accountAlias));
+
+    if (others.length === 0) {
+      if (cause === 'Rate limit') {
+        this.rateLimitDetected = true;
+      } else {
+        this.authExpiredDetected = true;
+      }
+      this.logger.warn(`${cause} detected by worker ${worker.workerId}`);
+      this.logger.info('Signaling all workers to stop gracefully...');
+      this.logger.info('Workers will complete their current video before shutting down');
+      this.workers.forEach(w => w.stop());
+      return;
+    }
+
+    if (!this.stoppedAccounts.has(worker.accountAlias)) {
+      this.stoppedAccounts.add(worker.accountAlias);
+      const accountWorkers = this.workers.filter(w => w.accountAlias === worker.accountAlias);
+      this.logger.warn(`${cause} detected by worker ${worker.workerId} on account ${worker.accountAlias}`);
+      this.logger.info(
+        `Stopping ${accountWorkers.length} worker(s) of ${worker.accountAlias}; ` +
+        `${others.length} worker(s) on other accounts continue`
+      );
+      accountWorkers.forEach(w => w.stop());
+    }
+  }
+
+  /**
+   * Run the image stage of a text-to-image job on one worker and add the video items
+   * for the picked images. Sets the job status when the stage fails.
+   * @returns {Promise<boolean>} True when video items were added
+   * @private
+   */
+  async _runImageStage(worker) {
+    const stage = this.manifest.manifest.imageStage;
+    await this.manifest.updateImageStageAtomic({ status: 'IN_PROGRESS', attempts: stage.attempts + 1 });
+    await this.logger.info(`Generating images: "${stage.prompt}" (pick ${stage.pick})`);
+
+    const result = await worker.generateImages(stage.prompt, stage.pick);
+
+    let error = result.error;
+    if (result.success && result.permalinks.length === 0) {
+      error = 'No images were generated';
+    }
+
+    let plan = null;
+    if (!error) {
+      try {
+        plan = expandTargets(imageStageTargets(stage.videoPrompts, result.permalinks));
+      } catch (planError) {
+        error = planError.message;
+      }
+    }
+
+    if (!plan) {
+      const status = result.rateLimited ? 'RATE_LIMITED' : (result.contentModerated ? 'CONTENT_MODERATED' : 'FAILED');
+      await this.manifest.updateImageStageAtomic({ status, error });
+      if (result.rateLimited) {
+        this.rateLimitDetected = true;
+        await this.logger.warn('Run stopped due to rate limit during image stage');
+        await this.manifest.updateStatusAtomic('STOPPED_RATE_LIMIT', 'Rate limit detected during image stage');
+      } else {
+        await this.logger.error(`Image stage failed: ${error}`);
+        await this.manifest.updateStatusAtomic('FAILED', `Image stage failed: ${error}`);
+      }
+      return false;
+    }
+
+    await this.manifest.completeImageStageAtomic(result.permalinks, plan);
+    this.itemSpecs = plan.itemSpecs;
+    this.batchSize = this.itemSpecs.length;
+    for (const [i, permalink] of result.permalinks.entries()) {
+      await this.logger.info(`  Image [${i + 1}]: ${permalink}`);
+    }
+    await this.logger.success(`Image stage complete: ${result.permalinks.length} image(s), ${this.batchSize} videos queued`);
+    return true;
   }
 
   /**
@@ -214,10 +938,10 @@ export class ParallelRunner {
   }
 
   /**
-   * Clean up operational files after run completes (keeps run.log in runDir)
+   * Clean up operational files after run completes (keeps log file and job manifest)
    */
   async cleanupOperationalFiles() {
-    // Remove entire cache directory (manifest, worker-profiles, etc.)
+    // Remove entire cache directory
     try {
       await fs.rm(this.cacheDir, { recursive: true, force: true });
     } catch (error) {
@@ -234,23 +958,73 @@ export class ParallelRunner {
 
     // Get duration setting from first worker that has one
     const selectedDuration = this.workers.find(w => w.selectedDuration)?.selectedDuration;
-    const durationDisplay = selectedDuration ? `max (${selectedDuration})` : 'default';
+    const perItemDurations = this.manifest.manifest.items.some(i => i.duration !== null && i.duration !== undefined);
+    const durationLabel = formatDurationLabel(this.duration);
+    const durationDisplay = perItemDurations
+      ? 'per matrix cell'
+      : (selectedDuration && durationLabel !== selectedDuration ? `${durationLabel} (${selectedDuration})` : durationLabel);
 
     // Console output: color-coded emoji summary
     console.log(chalk.blue('\n📊 Run Summary:\n'));
-    console.log(chalk.gray(`  Workers: ${this.parallelism}`));
+    console.log(chalk.gray(`  Workers: ${this._describeWorkerCount()}`));
     console.log(chalk.gray(`  Duration setting: ${durationDisplay}`));
+    if (Object.keys(this.videoOptions).length > 0) {
+      console.log(chalk.gray(`  Video options: ${Object.entries(this.videoOptions).map(([k, v]) => `${k}=${v}`).join(', ')}`));
+    }
+    if (summary.durationMismatches > 0) {
+      console.log(chalk.yellow(`  ⚠ Duration mismatches: ${summary.durationMismatches}`));
+    }
     console.log(chalk.gray(`  Total attempts: ${summary.totalAttempts}`));
-    console.log(chalk.green(`    ✓ Successful: ${summary.successful}`));
+    console.log(chalk.green(`    ✓ Successful: ${summary.successful}${this._targetSuffix(summary)}`));
     if (summary.contentModerated > 0) {
       console.log(chalk.yellow(`    ⚠ Content moderated: ${summary.contentModerated}`));
     }
+    if (summary.moderatedAttempts > 0) {
+      console.log(chalk.gray(
+        `    Moderated attempts: ${summary.moderatedAttempts} (${summary.moderationRecovered} item(s) recovered by retry)`
+      ));
+    }
     if (summary.failed > 0) {
       console.log(chalk.red(`    ✗ Failed: ${summary.failed}`));
     }
+    if (summary.technicalRetries > 0) {
+      console.log(chalk.gray(
+        `    Technical retries: ${summary.technicalRetries} (${summary.retryRecovered} recovered after retry, ` +
+        `${summary.retryExhausted} failed for good)`
+      ));
+    }
     if (summary.rateLimited > 0) {
       console.log(chalk.yellow(`  Rate limited: ${summary.rateLimited} (not attempted)`));
     }
+    if (summary.relaunches > 0) {
+      console.log(chalk.yellow(`  Browser relaunches: ${this._describeRelaunches(summary)}`));
+    }
+    if (summary.leaseReclaims > 0) {
+      console.log(chalk.yellow(`  Reclaimed items: ${summary.leaseReclaims} (interrupted attempts requeued)`));
+    }
+    if (summary.byCell.length > 0) {
+      console.log(chalk.gray('  By matrix cell:'));
+      for (const line of this._formatBreakdown(summary.byCell, 'cell')) {
+        console.log(chalk.gray(`    ${line}`));
+      }
+    } else if (summary.byPermalink.length > 1) {
+      console.log(chalk.gray('  By permalink:'));
+      for (const line of this._formatBreakdown(summary.byPermalink, 'permalink')) {
+        console.log(chalk.gray(`    ${line}`));
+      }
+    }
+    if (summary.byAccount.length > 1) {
+      console.log(chalk.gray('  By account:'));
+      for (const line of this._formatAccountBreakdown(summary.byAccount)) {
+        console.log(chalk.gray(`    ${line}`));
+      }
+    }
+    if (summary.byPrompt.length > 1 && summary.byCell.length === 0) {
+      console.log(chalk.gray('  By prompt:'));
+      for (const line of this._formatBreakdown(summary.byPrompt, 'prompt')) {
+        console.log(chalk.gray(`    ${line}`));
+      }
+    }
     if (this.autoDownload) {
       console.log(chalk.green(`    Downloaded: ${summary.downloaded}`));
       if (summary.downloadFailed > 0) {
@@ -277,19 +1051,65 @@ export class ParallelRunner {
 
     // File log only (console already has emoji summary above)
     await this.logger.logToFileOnly('=== Run Summary ===');
-    await this.logger.logToFileOnly(`Workers: ${this.parallelism}`);
+    await this.logger.logToFileOnly(`Workers: ${this._describeWorkerCount()}`);
     await this.logger.logToFileOnly(`Duration setting: ${durationDisplay}`);
+    if (Object.keys(this.videoOptions).length > 0) {
+      await this.logger.logToFileOnly(`Video options: ${Object.entries(this.videoOptions).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+    }
+    if (summary.durationMismatches > 0) {
+      await this.logger.logToFileOnly(`Duration mismatches: ${summary.durationMismatches}`);
+    }
     await this.logger.logToFileOnly(`Total attempts: ${summary.totalAttempts}`);
-    await this.logger.logToFileOnly(`  Successful: ${summary.successful}`);
+    await this.logger.logToFileOnly(`  Successful: ${summary.successful}${this._targetSuffix(summary)}`);
     if (summary.contentModerated > 0) {
       await this.logger.logToFileOnly(`  Content moderated: ${summary.contentModerated}`);
     }
+    if (summary.moderatedAttempts > 0) {
+      await this.logger.logToFileOnly(
+        `  Moderated attempts: ${summary.moderatedAttempts} (${summary.moderationRecovered} item(s) recovered by retry)`
+      );
+    }
     if (summary.failed > 0) {
       await this.logger.logToFileOnly(`  Failed: ${summary.failed}`);
     }
+    if (summary.technicalRetries > 0) {
+      await this.logger.logToFileOnly(
+        `  Technical retries: ${summary.technicalRetries} (${summary.retryRecovered} recovered after retry, ` +
+        `${summary.retryExhausted} failed for good)`
+      );
+    }
     if (summary.rateLimited > 0) {
       await this.logger.logToFileOnly(`Rate limited: ${summary.rateLimited} (not attempted)`);
     }
+    if (summary.relaunches > 0) {
+      await this.logger.logToFileOnly(`Browser relaunches: ${this._describeRelaunches(summary)}`);
+    }
+    if (summary.leaseReclaims > 0) {
+      await this.logger.logToFileOnly(`Reclaimed items: ${summary.leaseReclaims} (interrupted attempts requeued)`);
+    }
+    if (summary.byCell.length > 0) {
+      await this.logger.logToFileOnly('By matrix cell:');
+      for (const line of this._formatBreakdown(summary.byCell, 'cell')) {
+        await this.logger.logToFileOnly(`  ${line}`);
+      }
+    } else if (summary.byPermalink.length > 1) {
+      await this.logger.logToFileOnly('By permalink:');
+      for (const line of this._formatBreakdown(summary.byPermalink, 'permalink')) {
+        await this.logger.logToFileOnly(`  ${line}`);
+      }
+    }
+    if (summary.byAccount.length > 1) {
+      await this.logger.logToFileOnly('By account:');
+      for (const line of this._formatAccountBreakdown(summary.byAccount)) {
+        await this.logger.logToFileOnly(`  ${line}`);
+      }
+    }
+    if (summary.byPrompt.length > 1 && summary.byCell.length === 0) {
+      await this.logger.logToFileOnly('By prompt:');
+      for (const line of this._formatBreakdown(summary.byPrompt, 'prompt')) {
+        await this.logger.logToFileOnly(`  ${line}`);
+      }
+    }
     if (this.autoDownload) {
       await this.logger.logToFileOnly(`  Downloaded: ${summary.downloaded}`);
       if (summary.downloadFailed > 0) {
@@ -314,6 +1134,48 @@ export class ParallelRunner {
     }
   }
 
+  /**
+   * Format per-prompt / per-permalink / per-cell summary lines
+   * @param {Array<Object>} entries - byPrompt, byPermalink or byCell from getSummary()
+   * @param {string} labelKey - Entry field used as the label
+   * @private
+   */
+  _formatBreakdown(entries, labelKey) {
+    return entries.map((entry, i) => {
+      const text = entry[labelKey];
+      const label = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+      const successes = entry.target != null
+        ? `${entry.successful}/${entry.target} successful in ${entry.total} attempts`
+        : `${entry.successful}/${entry.total} successful`;
+      return `[${i + 1}] "${label}": ${successes}, ` +
+        `${entry.contentModerated} moderated, ${entry.failed} failed`;
+    });
+  }
+
+  /**
+   * Per-account summary lines, noting accounts that hit a rate limit or were logged out
+   * @private
+   */
+  _formatAccountBreakdown(entries) {
+    const lines = this._formatBreakdown(entries, 'account');
+    return lines.map((line, i) => {
+      if (entries[i].authExpired) return `${line} (session expired)`;
+      return entries[i].rateLimited ? `${line} (rate limited)` : line;
+    });
+  }
+
+  /**
+   * " of <target> (target)" in targetSuccesses mode, plus a note when the target was missed
+   * @private
+   */
+  _targetSuffix(summary) {
+    if (summary.successTarget === null) return '';
+    const missed = summary.successful < summary.successTarget && summary.remaining === 0
+      ? ' - target missed, maxAttempts reached'
+      : '';
+    return ` of ${summary.successTarget} (target)${missed}`;
+  }
+
 }
 
 export default ParallelRunner;
@@ -47,6 +47,17 @@ export class PostProcessor {
     this.downloadDirCreated = false;
   }
 
+  /**
+   * Change the directory subsequent downloads are saved to
+   * @param {string} downloadDir - Target directory (created on first download)
+   */
+  setDownloadDir(downloadDir) {
+    if (downloadDir && downloadDir !== this.downloadDir) {
+      this.downloadDir = downloadDir;
+      this.downloadDirCreated = false;
+    }
+  }
+
   /**
    * Process post-generation actions (download, upscale, and/or delete)
    * @param {number} index - Attempt index for logging
@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config.js';
+import { FileLock, processAlive } from '../utils/lock.js';
+import { directorySize } from '../utils/disk.js';
+
+/**
+ * Cookie databases of the master profile; the pool refreshes a slot when their content changes
+ */
+const COOKIE_FILES = ['Cookies', path.join('Network', 'Cookies')];
+
+/**
+ * Warm worker profile pool - per-account copies of the master Chrome profile
+ * (profiles/<alias>-chrome) kept in profiles/<alias>-pool/slot-<n> and reused across runs.
+ *
+ * Workers lease a slot for the length of a run (pool.json, under a file lock). A slot is copied
+ * again only when the master profile's cookies changed since its last copy; cache directories
+ * (PROFILE_POOL_EXCLUDES) are never copied. Leases of processes that no longer exist are reclaimed.
+ */
+export class ProfilePool {
+  /**
+   * @param {string} accountAlias - Account whose master profile the pool copies
+   */
+  constructor(accountAlias) {
+    this.accountAlias = accountAlias;
+    this.masterDir = path.join(config.PROFILES_DIR, `${accountAlias}-chrome`);
+    this.poolDir = path.join(config.PROFILES_DIR, `${accountAlias}-pool`);
+    this.poolFile = path.join(this.poolDir, 'pool.json');
+    this.lock = new FileLock(path.join(config.PROFILES_DIR, `${accountAlias}-pool.lock`));
+  }
+
+  /**
+   * Lease a slot and make sure it holds the current master profile
+   * @param {Object} owner - Lease owner for `accounts list` ({ jobName, workerId })
+   * @returns {Promise<{index: number, dir: string, state: 'reused'|'refreshed'|'created'}>}
+   */
+  async acquire(owner) {
+    const fingerprint = await this.fingerprint();
+
+    const slot = await this.lock.withLock(async () => {
+      const pool = await this._load();
+      let index = pool.slots.findIndex(s => !s.lease || !processAlive(s.lease.pid));
+      if (index === -1) {
+        index = pool.slots.length;
+        pool.slots.push({ fingerprint: null, refreshedAt: null, lease: null });
+      }
+      pool.slots[index].lease = { pid: process.pid, ...owner, at: new Date().toISOString() };
+      await this._save(pool);
+      return { index, ...pool.slots[index] };
+    });
+
+    const dir = this.slotDir(slot.index);
+    const exists = await fs.access(dir).then(() => true, () => false);
+    if (exists && slot.fingerprint === fingerprint) {
+      return { index: slot.index, dir, state: 'reused' };
+    }
+
+    // New slot, or the master session changed: copy the master profile without its caches
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      await fs.cp(this.masterDir, dir, {
+        recursive: true,
+        force: true,
+        filter: source => !this._isExcluded(source),
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        await this.release(slot.index);
+        throw error;
+      }
+      // No master profile yet; Playwright creates an empty one
+    }
+
+    await this.lock.withLock(async () => {
+      const pool = await this._load();
+      pool.slots[slot.index].fingerprint = fingerprint;
+      pool.slots[slot.index].refreshedAt = new Date().toISOString();
+      await this._save(pool);
+    });
+    return { index: slot.index, dir, state: exists ? 'refreshed' : 'created' };
+  }
+
+  /**
+   * Return a leased slot to the pool (its profile stays for the next run)
+   * @param {number} index - Slot index from acquire()
+   */
+  async release(index) {
+    await this.lock.withLock(async () => {
+      const pool = await this._load();
+      if (pool.slots[index]) {
+        pool.slots[index].lease = null;
+        await this._save(pool);
+      }
+    });
+  }
+
+  /**
+   * Pool size, leased slots and disk usage
+   * @returns {Promise<{slots: number, leased: number, bytes: number}>}
+   */
+  async stats() {
+    const pool = await this._load();
+    return {
+      slots: pool.slots.length,
+      leased: await this.leasedCount(),
+      bytes: await directorySize(this.poolDir),
+    };
+  }
+
+  /**
+   * Slots currently leased by running processes
+   */
+  async leasedCount() {
+    const pool = await this._load();
+    return pool.slots.filter(s => s.lease && processAlive(s.lease.pid)).length;
+  }
+
+  /**
+   * Hash of the master profile's cookie databases ('none' without any)
+   */
+  async fingerprint() {
+    const hash = crypto.createHash('sha256');
+    let found = false;
+    for (const file of COOKIE_FILES) {
+      try {
+        hash.update(await fs.readFile(path.join(this.masterDir, config.CHROME_PROFILE_NAME || 'Default', file)));
+        found = true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return found ? hash.digest('hex') : 'none';
+  }
+
+  /**
+   * Directory of a slot
+   */
+  slotDir(index) {
+    return path.join(this.poolDir, `slot-${index}`);
+  }
+
+  /**
+   * Whether a master profile path is left out of slot copies
+   * @private
+   */
+  _isExcluded(source) {
+    const relative = path.relative(this.masterDir, source);
+    return config.PROFILE_POOL_EXCLUDES.some(excluded =>
+      relative === excluded || relative.endsWith(`${path.sep}${excluded}`)
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _load() {
+    try {
+      return JSON.parse(await fs.readFile(this.poolFile, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { slots: [] };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _save(pool) {
+    await fs.mkdir(this.poolDir, { recursive: true });
+    await fs.writeFile(this.poolFile, JSON.stringify(pool, null, 2), 'utf-8');
+  }
+}
+
+export default ProfilePool;
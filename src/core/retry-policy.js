@@ -0,0 +1,59 @@
+import config from '../config.js';
+
+/**
+ * Error classes of technical failures that may be retried, with the error messages they match.
+ * Anything else (OPTION_UNAVAILABLE, DURATION_MISMATCH, unknown errors) fails for good.
+ */
+const ERROR_CLASS_PATTERNS = {
+  TIMEOUT: /^TIMEOUT\b/,
+  NETWORK_ERROR: /^NETWORK_ERROR\b|^Navigation failed|net::ERR_/,
+  GENERATION_ERROR: /^GENERATION_ERROR\b/,
+  UI_ERROR: /Generation button not found|Prompt input|Prompt verification failed/,
+};
+
+export const RETRY_ERROR_CLASSES = Object.keys(ERROR_CLASS_PATTERNS);
+
+/**
+ * Technical-failure retry policy.
+ * Classifies a failed item's error and decides whether and when the item is tried again
+ * (exponential backoff with jitter, capped at TECHNICAL_RETRY_MAX_DELAY).
+ */
+export class RetryPolicy {
+  /**
+   * @param {Object<string, {maxRetries: number, baseDelay: number}>|null} rules - Per error class,
+   *   from resolveRetryPolicy(); null disables retries
+   */
+  constructor(rules = null) {
+    this.rules = rules || {};
+  }
+
+  /**
+   * Error class of a failure message, or null if the failure isn't retryable
+   */
+  classify(message) {
+    if (!message) return null;
+    return RETRY_ERROR_CLASSES.find(errorClass => ERROR_CLASS_PATTERNS[errorClass].test(message)) || null;
+  }
+
+  /**
+   * Whether an item that already had `retries` retries may be retried after a failure of this class
+   */
+  shouldRetry(errorClass, retries) {
+    const rule = this.rules[errorClass];
+    return Boolean(rule) && retries < rule.maxRetries;
+  }
+
+  /**
+   * Backoff before a retry: baseDelay x 2^(retry-1), ± TECHNICAL_RETRY_JITTER, capped
+   * @param {string} errorClass - From classify()
+   * @param {number} retry - Retry number (1 = first retry)
+   * @returns {number} Delay in ms
+   */
+  delay(errorClass, retry) {
+    const base = this.rules[errorClass].baseDelay * 2 ** (retry - 1);
+    const jitter = 1 + (Math.random() * 2 - 1) * config.TECHNICAL_RETRY_JITTER;
+    return Math.round(Math.min(base * jitter, config.TECHNICAL_RETRY_MAX_DELAY));
+  }
+}
+
+export default RetryPolicy;
@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import config from '../config.js';
+import { FileLock } from '../utils/lock.js';
+
+/**
+ * Run locks - cross-process locks held for the length of a run: one on the job name
+ * (jobs/<job>/run.lock) and a lease on each of its accounts (profiles/<alias>-run.lock).
+ *
+ * Leases don't expire with age; they count as held while the process that took them is alive
+ * (same host), so a crashed run never blocks an account for long.
+ */
+export class RunLocks {
+  /**
+   * @param {string} jobName - Job the run belongs to
+   * @param {string[]} accounts - Accounts the run drives
+   */
+  constructor(jobName, accounts) {
+    this.jobName = jobName;
+    this.accounts = [...new Set(accounts)].sort(); // Fixed order, so two runs can't wait on each other
+    this.jobLock = RunLocks.jobLock(path.join(config.JOBS_DIR, jobName), jobName);
+    this.accountLocks = this.accounts.map(alias => RunLocks.accountLock(alias, jobName));
+  }
+
+  /**
+   * Lock file of a job directory
+   */
+  static jobLock(jobDir, jobName = null) {
+    return new FileLock(path.join(jobDir, 'run.lock'), {
+      staleTimeout: null,
+      owner: { jobName },
+    });
+  }
+
+  /**
+   * Lease file of an account
+   */
+  static accountLock(alias, jobName = null) {
+    return new FileLock(path.join(config.PROFILES_DIR, `${alias}-run.lock`), {
+      staleTimeout: null,
+      owner: { jobName, account: alias },
+    });
+  }
+
+  /**
+   * Accounts currently leased by another live run
+   * @param {string[]} accounts - Account aliases to check
+   * @returns {Promise<Array<{alias: string, holder: Object}>>} holder: { jobName, pid, acquiredAt, ... }
+   */
+  static async busyAccounts(accounts) {
+    const busy = [];
+    for (const alias of accounts) {
+      const holder = await RunLocks.accountLock(alias).holder();
+      if (holder) {
+        busy.push({ alias, holder });
+      }
+    }
+    return busy;
+  }
+
+  /**
+   * Take the job lock, then every account lease. A job held by a live run always fails; a busy account fails
+   * unless waitForAccount is set, in which case it is checked again every ACCOUNT_LOCK_POLL_INTERVAL.
+   * Nothing stays held when this throws.
+   * @param {Object} [options]
+   * @param {boolean} [options.waitForAccount] - Wait for busy accounts instead of failing
+   */
+  async acquire({ waitForAccount = false } = {}) {
+    while (!await this.jobLock.tryAcquire()) {
+      const holder = await this.jobLock.holder();
+      if (holder) {
+        throw new Error(`Job "${this.jobName}" is already running${describeHolder(holder)}`);
+      }
+      // No live holder (released meanwhile or still being written); try again shortly
+      await new Promise(resolve => setTimeout(resolve, this.jobLock.pollInterval));
+    }
+
+    try {
+      for (let i = 0; i < this.accounts.length; i++) {
+        const alias = this.accounts[i];
+        const lock = this.accountLocks[i];
+        let waiting = false;
+
+        while (!await lock.tryAcquire()) {
+          const holder = await lock.holder();
+          if (!holder) {
+            // Released or still being written; try again shortly
+            await new Promise(resolve => setTimeout(resolve, lock.pollInterval));
+            continue;
+          }
+          if (!waitForAccount) {
+            throw new Error(
+              `Account ${alias} is in use by ${holder.jobName ? `job "${holder.jobName}"` : 'another run'}` +
+              `${describeHolder(holder)}; wait for it to finish or pass --wait-for-account`
+            );
+          }
+          if (!waiting) {
+            console.log(chalk.yellow(
+              `Account ${alias} is in use by ${holder.jobName ? `job "${holder.jobName}"` : 'another run'}` +
+              `${describeHolder(holder)}; waiting for it...`
+            ));
+            waiting = true;
+          }
+          await new Promise(resolve => setTimeout(resolve, config.ACCOUNT_LOCK_POLL_INTERVAL));
+        }
+
+        if (waiting) {
+          console.log(chalk.green(`Account ${alias} is free`));
+        }
+      }
+    } catch (error) {
+      await this.release();
+      throw error;
+    }
+  }
+
+  /**
+   * Release the account leases and the job lock (those held)
+   */
+  async release() {
+    for (const lock of this.accountLocks) {
+      await lock.release();
+    }
+    await this.jobLock.release();
+    // Drop the job directory again if the run never got to create its manifest
+    await fs.rmdir(this.jobLock.lockDir).catch(() => {});
+  }
+}
+
+/**
+ * " (pid N, since <time>)" of a lock holder
+ */
+function describeHolder(holder) {
+  if (!holder) return '';
+  return ` (pid ${holder.pid}, since ${new Date(holder.acquiredAt).toLocaleString()})`;
+}
+
+export default RunLocks;
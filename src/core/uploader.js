@@ -0,0 +1,263 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { chromium } from 'playwright';
+import chalk from 'chalk';
+import config, { selectors } from '../config.js';
+import { AccountManager, launchStorageState } from './accounts.js';
+
+/**
+ * Sleep utility
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Image uploader - turns local images into Grok Imagine posts using an account's profile.
+ * Keeps an image -> permalink mapping in the folder so re-runs skip uploaded images.
+ */
+export class ImageUploader {
+  /**
+   * @param {string} accountAlias - Account whose browser profile performs the uploads
+   */
+  constructor(accountAlias) {
+    this.accountAlias = accountAlias;
+    this.browser = null; // Imported (storage-state) accounts only
+    this.context = null;
+    this.page = null;
+  }
+
+  /**
+   * Load the image -> permalink mapping of a folder
+   */
+  async loadMapping(folder) {
+    try {
+      const data = await fs.readFile(path.join(folder, config.IMAGE_UPLOAD_MAPPING_FILE), 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save the image -> permalink mapping of a folder
+   */
+  async saveMapping(folder, mapping) {
+    await fs.writeFile(
+      path.join(folder, config.IMAGE_UPLOAD_MAPPING_FILE),
+      JSON.stringify(mapping, null, 2)
+    );
+  }
+
+  /**
+   * Upload every image in a folder that isn't mapped yet for this account
+   * @param {string} folder - Folder with images
+   * @param {Object} options
+   * @param {string} [options.prompt] - Prompt for the generated config (no config written without it)
+   * @param {number} [options.count] - Videos per image in the generated config
+   * @param {number} [options.parallel] - Parallel workers in the generated config
+   * @param {string} [options.output] - Config output path (default: <folder>/grok-batch-config.json)
+   * @returns {Promise<Object>} { uploaded, skipped, failed, permalinks, configPath }
+   */
+  async uploadFolder(folder, options = {}) {
+    const folderPath = path.resolve(folder);
+    const files = (await fs.readdir(folderPath))
+      .filter(file => config.IMAGE_UPLOAD_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    if (files.length === 0) {
+      throw new Error(`No images found in ${folderPath} (${config.IMAGE_UPLOAD_EXTENSIONS.join(', ')})`);
+    }
+
+    const mapping = await this.loadMapping(folderPath);
+    const result = { uploaded: 0, skipped: 0, failed: 0, permalinks: [], configPath: null };
+
+    // Decide which images need uploading (new, changed, or uploaded with another account)
+    const pending = [];
+    for (const file of files) {
+      const hash = await this._hashFile(path.join(folderPath, file));
+      const entry = mapping[file];
+      if (entry && entry.hash === hash && entry.account === this.accountAlias && entry.permalink) {
+        result.skipped++;
+      } else {
+        pending.push({ file, hash });
+      }
+    }
+
+    console.log(chalk.blue(`\nImages in ${folderPath}: ${files.length}`));
+    console.log(chalk.gray(`Already uploaded: ${result.skipped}, to upload: ${pending.length}\n`));
+
+    if (pending.length > 0) {
+      await this._launch();
+      try {
+        for (const [i, { file, hash }] of pending.entries()) {
+          const label = `[${i + 1}/${pending.length}] ${file}`;
+          try {
+            const permalink = await this._uploadImage(path.join(folderPath, file));
+            mapping[file] = {
+              permalink,
+              account: this.accountAlias,
+              hash,
+              uploadedAt: new Date().toISOString(),
+            };
+            // Save after every upload so an interrupted run keeps its progress
+            await this.saveMapping(folderPath, mapping);
+            result.uploaded++;
+            console.log(chalk.green(`  ✓ ${label} -> ${permalink}`));
+          } catch (error) {
+            if (error.message.startsWith('AUTH_REQUIRED')) {
+              throw error;
+            }
+            result.failed++;
+            console.log(chalk.red(`  ✗ ${label}: ${error.message}`));
+          }
+
+          if (i < pending.length - 1) {
+            await sleep(config.IMAGE_UPLOAD_DELAY);
+          }
+        }
+      } finally {
+        await this._close();
+      }
+    }
+
+    // Permalinks of this folder's images for this account, in file order
+    result.permalinks = files
+      .map(file => mapping[file])
+      .filter(entry => entry?.permalink && entry.account === this.accountAlias)
+      .map(entry => entry.permalink);
+
+    if (options.prompt && result.permalinks.length > 0) {
+      result.configPath = await this._writeConfig(folderPath, result.permalinks, options);
+    }
+
+    return result;
+  }
+
+  /**
+   * Write a ready-to-run multi-permalink config
+   * @private
+   */
+  async _writeConfig(folderPath, permalinks, options) {
+    const configPath = path.resolve(options.output || path.join(folderPath, 'grok-batch-config.json'));
+    const configData = {
+      account: this.accountAlias,
+      jobName: path.basename(folderPath),
+      prompt: options.prompt,
+      count: options.count || config.DEFAULT_BATCH_SIZE,
+      parallel: options.parallel || 1,
+      permalinks,
+      autoDownload: config.DEFAULT_DOWNLOAD_ENABLED,
+      autoUpscale: config.DEFAULT_UPSCALE_ENABLED,
+      autoDelete: config.DEFAULT_DELETE_ENABLED,
+    };
+
+    await fs.mkdir(path.dirname(configPath), { recursive: true });
+    await fs.writeFile(configPath, JSON.stringify(configData, null, 2));
+    return configPath;
+  }
+
+  /**
+   * Launch the account's browser profile and check authentication
+   * @private
+   */
+  async _launch() {
+    const account = await new AccountManager().getAccount(this.accountAlias);
+    if (account?.storageStatePath) {
+      ({ browser: this.browser, context: this.context } = await launchStorageState(account.storageStatePath));
+    } else {
+      const profileDir = path.join(config.PROFILES_DIR, `${this.accountAlias}-chrome`);
+      const chromeProfileName = config.CHROME_PROFILE_NAME || 'Default';
+
+      this.context = await chromium.launchPersistentContext(profileDir, {
+        channel: 'chrome',
+        headless: !config.HEADED_MODE,
+        viewport: config.VIEWPORT,
+        args: [
+          '--disable-blink-features=AutomationControlled',
+          `--profile-directory=${chromeProfileName}`,
+        ],
+      });
+    }
+
+    this.page = this.context.pages()[0] || await this.context.newPage();
+    this.page.setDefaultTimeout(config.ELEMENT_WAIT_TIMEOUT);
+    this.page.setDefaultNavigationTimeout(config.PAGE_LOAD_TIMEOUT);
+
+    await this.page.goto(config.IMAGINE_URL, { waitUntil: 'domcontentloaded' });
+    await sleep(3000);
+
+    const loginButton = await this.page.$(selectors.LOGIN_BUTTON);
+    if (loginButton) {
+      throw new Error(`AUTH_REQUIRED: Account "${this.accountAlias}" is not logged in`);
+    }
+  }
+
+  /**
+   * Close the browser context
+   * @private
+   */
+  async _close() {
+    if (this.context) {
+      await this.context.close().catch(() => {});
+      this.context = null;
+      this.page = null;
+    }
+    if (this.browser) {
+      await this.browser.close().catch(() => {});
+      this.browser = null;
+    }
+  }
+
+  /**
+   * Upload one image and return the permalink of the post it creates
+   * @private
+   */
+  async _uploadImage(filePath) {
+    await this.page.goto(config.IMAGINE_URL, { waitUntil: 'domcontentloaded' });
+    await sleep(config.UI_ACTION_DELAY);
+
+    const postUrlPattern = /\/imagine\/post\/[^/?#]+/;
+    const navigation = this.page.waitForURL(postUrlPattern, { timeout: config.IMAGE_UPLOAD_TIMEOUT });
+
+    // Prefer the file input directly; fall back to the upload button's file chooser
+    const fileInput = await this.page.$(selectors.IMAGE_UPLOAD_INPUT);
+    if (fileInput) {
+      await fileInput.setInputFiles(filePath);
+    } else {
+      const uploadButton = await this.page.$(selectors.IMAGE_UPLOAD_BUTTON);
+      if (!uploadButton) {
+        navigation.catch(() => {});
+        throw new Error('Upload control not found');
+      }
+      const [fileChooser] = await Promise.all([
+        this.page.waitForEvent('filechooser', { timeout: config.ELEMENT_WAIT_TIMEOUT }),
+        uploadButton.click(),
+      ]);
+      await fileChooser.setFiles(filePath);
+    }
+
+    try {
+      await navigation;
+    } catch {
+      throw new Error(`No post created within ${config.IMAGE_UPLOAD_TIMEOUT / 1000}s`);
+    }
+
+    return this.page.url().split(/[?#]/)[0];
+  }
+
+  /**
+   * SHA-256 of a file, used to detect changed images
+   * @private
+   */
+  async _hashFile(filePath) {
+    const data = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+}
+
+export default ImageUploader;
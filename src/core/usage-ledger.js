@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config.js';
+import { FileLock } from '../utils/lock.js';
+import { parseResetHint } from '../utils/rate-limit.js';
+import { writeJsonAtomic } from '../utils/atomic-write.js';
+
+/**
+ * Rolling windows shown by `accounts list`
+ */
+export const USAGE_WINDOWS = [
+  { label: '1h', ms: 60 * 60 * 1000 },
+  { label: '3h', ms: 3 * 60 * 60 * 1000 },
+  { label: '24h', ms: 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * Attempt outcomes recorded in the ledger
+ */
+const OUTCOMES = ['success', 'moderated', 'failed', 'rate_limited'];
+
+/**
+ * Usage ledger - per-account record of generation attempts and rate limits
+ * (profiles/usage-ledger.json), shared by all workers and runs.
+ *
+ * Per account: `events` ({ at, outcome, jobName }, kept for USAGE_LEDGER_RETENTION),
+ * `rateLimits` ({ at, attempts, resetAt, jobName, message }, the latest USAGE_LEDGER_MAX_RATE_LIMITS)
+ * and lifetime `totals` per outcome.
+ */
+export class UsageLedger {
+  constructor(ledgerPath = path.join(config.PROFILES_DIR, 'usage-ledger.json')) {
+    this.ledgerPath = ledgerPath;
+    this.lock = new FileLock(`${ledgerPath}.lock`);
+    this.data = {};
+  }
+
+  /**
+   * Load the ledger from disk (empty if it doesn't exist yet)
+   */
+  async load() {
+    try {
+      this.data = JSON.parse(await fs.readFile(this.ledgerPath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.data = {};
+    }
+    return this.data;
+  }
+
+  /**
+   * Record one attempt of an account (thread-safe)
+   * @param {string} account - Account alias
+   * @param {'success'|'moderated'|'failed'|'rate_limited'} outcome - Attempt outcome
+   * @param {Object} [details]
+   * @param {string} [details.jobName] - Job the attempt belongs to
+   * @param {string} [details.message] - Rate-limit message (reset hint)
+   */
+  async record(account, outcome, details = {}) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown usage outcome: ${outcome}`);
+    }
+
+    await this.lock.withLock(async () => {
+      await this.load();
+      const now = new Date();
+      const entry = this._account(account);
+
+      if (outcome === 'rate_limited') {
+        // Attempts the account made since its previous rate limit (within the retained events)
+        const previous = entry.rateLimits[entry.rateLimits.length - 1];
+        const since = previous ? Date.parse(previous.at) : 0;
+        const attempts = entry.events.filter(e => e.outcome !== 'rate_limited' && Date.parse(e.at) > since).length;
+        const resetMs = parseResetHint(details.message);
+
+        entry.rateLimits.push({
+          at: now.toISOString(),
+          attempts,
+          resetAt: new Date(now.getTime() + (resetMs !== null
+            ? resetMs + config.RATE_LIMIT_RESET_MARGIN
+            : config.RATE_LIMIT_COOLDOWN)).toISOString(),
+          jobName: details.jobName ?? null,
+          message: details.message ?? null,
+        });
+        entry.rateLimits = entry.rateLimits.slice(-config.USAGE_LEDGER_MAX_RATE_LIMITS);
+      }
+
+      entry.events.push({ at: now.toISOString(), outcome, jobName: details.jobName ?? null });
+      entry.events = entry.events.filter(e => now - Date.parse(e.at) <= config.USAGE_LEDGER_RETENTION);
+      entry.totals[outcome] = (entry.totals[outcome] || 0) + 1;
+
+      await this._save();
+    });
+  }
+
+  /**
+   * Move an account's history to a new alias (accounts rename)
+   */
+  async renameAccount(from, to) {
+    await this.lock.withLock(async () => {
+      await this.load();
+      if (!this.data[from]) return;
+      this.data[to] = this.data[from];
+      delete this.data[from];
+      await this._save();
+    });
+  }
+
+  /**
+   * Outcome counts of an account within a rolling window (from the last load)
+   * @returns {{attempts: number, success: number, moderated: number, failed: number, rate_limited: number}}
+   */
+  usage(account, windowMs, now = new Date()) {
+    const counts = Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0]));
+    const events = this.data[account]?.events || [];
+    for (const event of events) {
+      if (now - Date.parse(event.at) <= windowMs) {
+        counts[event.outcome]++;
+      }
+    }
+    counts.attempts = counts.success + counts.moderated + counts.failed;
+    return counts;
+  }
+
+  /**
+   * Most recent rate limit of an account (from the last load), or null
+   */
+  lastRateLimit(account) {
+    const rateLimits = this.data[account]?.rateLimits || [];
+    return rateLimits[rateLimits.length - 1] || null;
+  }
+
+  /**
+   * End of the account's observed cooldown window if it is still inside it, otherwise null
+   * @returns {Date|null}
+   */
+  cooldownUntil(account, now = new Date()) {
+    const last = this.lastRateLimit(account);
+    if (!last) return null;
+    const resetAt = new Date(last.resetAt);
+    return resetAt > now ? resetAt : null;
+  }
+
+  /**
+   * Accounts still inside their observed cooldown window (from the last load)
+   * @param {string[]} accounts - Account aliases to check
+   * @returns {Array<{account: string, until: Date, rateLimit: Object}>}
+   */
+  coolingDown(accounts, now = new Date()) {
+    return accounts
+      .map(account => ({ account, until: this.cooldownUntil(account, now), rateLimit: this.lastRateLimit(account) }))
+      .filter(entry => entry.until);
+  }
+
+  /**
+   * Write the ledger through a temporary file and a rename, so an interrupted write never leaves
+   * truncated JSON behind. Must be called inside the lock.
+   * @private
+   */
+  async _save() {
+    await fs.mkdir(path.dirname(this.ledgerPath), { recursive: true });
+    await writeJsonAtomic(this.ledgerPath, this.data);
+  }
+
+  /**
+   * Ledger entry of an account, created if missing
+   * @private
+   */
+  _account(account) {
+    if (!this.data[account]) {
+      this.data[account] = { events: [], rateLimits: [], totals: {} };
+    }
+    return this.data[account];
+  }
+}
+
+export default UsageLedger;
@@ -1,8 +1,12 @@
 import { chromium } from 'playwright';
 import path from 'path';
-import fs from 'fs/promises';
 import config, { selectors } from '../config.js';
 import { VideoGenerator } from './generator.js';
+import { ImageGenerator } from './image-generator.js';
+import { ModerationPolicy } from './moderation.js';
+import { UsageLedger } from './usage-ledger.js';
+import { ProfilePool } from './profile-pool.js';
+import { AccountManager, launchStorageState, isAuthenticated } from './accounts.js';
 
 /**
  * Sleep utility
@@ -11,6 +15,11 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Playwright errors of a browser, context or page that has gone away
+ */
+const BROWSER_GONE_PATTERN = /Target (page, context or browser )?(has been )?closed|Target crashed|Page crashed|Browser has been closed|browser has disconnected|Session closed/i;
+
 /**
  * Worker - handles video generation in a dedicated browser context
  * Each worker runs independently with its own profile copy
@@ -32,119 +41,397 @@ export class ParallelWorker {
     this.downloadDir = options.downloadDir || null;
     this.jobName = options.jobName || null;
 
+    // Generation options (see resolveGenerationOptions in job-plan.js)
+    this.duration = options.duration ?? 'max'; // Job default; matrix items may request another
+    this.videoOptions = options.videoOptions || {};
+    this.strictOptions = options.strictOptions || false;
+
+    // Content-moderation retries (see resolveModerationPolicy in job-plan.js)
+    this.moderation = new ModerationPolicy(options.moderation || {});
+
+    // Per-account attempt history shared across jobs (profiles/usage-ledger.json)
+    this.usageLedger = new UsageLedger();
+
+    // Crash recovery (see resolveMaxRelaunches in job-plan.js)
+    this.maxRelaunches = options.maxRelaunches ?? config.WORKER_MAX_RELAUNCHES;
+    this.relaunches = 0;
+    this.crashReason = null; // Set by page/context events when the browser goes away
+
     // Browser resources
+    this.browser = null; // Only for imported (storage-state) accounts; profile accounts use a persistent context
     this.context = null;
     this.page = null;
     this.generator = null;
     this.postProcessor = null;
 
-    // Worker-specific paths (in cacheDir for ephemeral data)
-    this.workerProfileDir = path.join(cacheDir, 'worker-profiles', `worker-${workerId}`);
+    // Browser profile: a slot of the account's warm profile pool, leased in initialize()
+    this.profilePool = new ProfilePool(accountAlias);
+    this.profileSlot = null;
+    this.workerProfileDir = null;
 
     // State
     this.isRunning = false;
     this.shouldStop = false;
-    this.selectedDuration = null; // Track selected video duration for logging
+    this.skipPostProcessing = false; // Set by stop() on an interrupt
+    this.selectedDuration = null; // Selected duration label (e.g. "10s"); null = page default
+    this.durationSetting = null; // Last requested duration; null = options not applied on this page
+    this.selectedOptions = {}; // Other video options applied on this page (name -> menu label)
+    this.currentPermalink = null; // Permalink the page is currently on (multi-permalink jobs)
+    this.currentIndex = null; // Item being worked on; null while idle (adaptive parallelism stops idle workers first)
+    this.heartbeatTimer = null; // Renews the lease on currentIndex while run() is active
+    this.leaseLost = null; // Index of the item whose lease was reclaimed from this worker
   }
 
   /**
-   * Initialize worker: create profile copy and launch browser context
+   * Initialize worker: launch a browser context with the account's session (a warm profile from
+   * the account's pool, or the bundled Chromium with an imported storage state)
    */
   async initialize() {
     try {
-      // Create worker profile directory
-      await fs.mkdir(this.workerProfileDir, { recursive: true });
+      await this._openBrowser();
+      this.logger.success(`[Worker ${this.workerId}] Ready`);
+    } catch (error) {
+      this.logger.error(`[Worker ${this.workerId}] Initialization failed`, error);
+      await this.shutdown();
+      throw error;
+    }
+  }
+
+  /**
+   * Launch the browser, open the starting permalink, check the login and apply the job's options.
+   * Used by initialize() and when relaunching after a crash.
+   * @throws {Error} AUTH_REQUIRED when the page is logged out
+   * @private
+   */
+  async _openBrowser() {
+    const account = await new AccountManager().getAccount(this.accountAlias);
+    if (account?.storageStatePath) {
+      ({ browser: this.browser, context: this.context } = await launchStorageState(account.storageStatePath));
+      this.logger.info(`[Worker ${this.workerId}] Using imported session of ${this.accountAlias}`);
+    } else {
+      await this._launchProfile();
+    }
+
+    // Get or create page
+    this.page = this.context.pages()[0] || await this.context.newPage();
+    this.page.setDefaultTimeout(config.ELEMENT_WAIT_TIMEOUT);
+    this.page.setDefaultNavigationTimeout(config.PAGE_LOAD_TIMEOUT);
+
+    // Notice crashes and closed contexts between health checks
+    this.crashReason = null;
+    const context = this.context;
+    this.page.on('crash', () => { this.crashReason = 'page crashed'; });
+    context.on('close', () => {
+      if (this.context === context) this.crashReason = this.crashReason || 'browser context closed';
+    });
+
+    // Navigate to the starting permalink
+    await this._navigateTo(this.permalink);
+
+    // Check authentication
+    const authenticated = await this._isAuthenticated();
+    if (!authenticated) {
+      await this._markAuthExpired('AUTH_REQUIRED: Not authenticated at worker start');
+      throw new Error('AUTH_REQUIRED: Not authenticated. Worker cannot proceed.');
+    }
+
+    // Apply the job's duration and video options (items may request another duration later).
+    // Text-to-image jobs start on the Imagine home page; options are applied per post later.
+    this.durationSetting = null;
+    if (this.permalink !== config.IMAGINE_URL) {
+      await this._applyGenerationOptions(this.duration);
+    }
+
+    // Create video generator
+    this.generator = new VideoGenerator(this.page, this.logger);
+
+    // Create post-processor if download/upscale/delete enabled
+    if (this.autoDownload) {
+      const { PostProcessor } = await import('./post-processor.js');
+      this.postProcessor = new PostProcessor(this.page, this.logger, {
+        autoDownload: this.autoDownload,
+        autoUpscale: this.autoUpscale,
+        autoDelete: this.autoDelete,
+        downloadDir: this.downloadDir,
+        jobName: this.jobName,
+      });
+    }
+  }
+
+  /**
+   * Close the browser without returning the profile slot (shutdown or relaunch)
+   * @private
+   */
+  async _closeBrowser() {
+    const { context, browser } = this;
+    this.context = null;
+    this.browser = null;
+    this.page = null;
+    this.generator = null;
+    this.postProcessor = null;
+    if (context) {
+      await context.close().catch(() => {});
+    }
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Why the browser can't be used any more (crashed, closed or hung page), or null if it is healthy
+   * @returns {Promise<string|null>}
+   * @private
+   */
+  async _checkBrowserHealth() {
+    if (this.crashReason) {
+      return this.crashReason;
+    }
+    if (!this.page || this.page.isClosed()) {
+      return 'page closed';
+    }
+
+    let timer;
+    try {
+      await Promise.race([
+        this.page.evaluate(() => true),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('hung')), config.PAGE_HEALTH_TIMEOUT);
+        }),
+      ]);
+      return null;
+    } catch (error) {
+      if (error.message === 'hung') {
+        return `page not responding after ${config.PAGE_HEALTH_TIMEOUT / 1000}s`;
+      }
+      return BROWSER_GONE_PATTERN.test(error.message) ? `browser gone (${error.message.split('\n')[0]})` : null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * After a failure, relaunch the browser if it crashed, closed or hung. The item in flight goes
+   * back to the queue; a page that is logged out after the relaunch stops the account.
+   * @param {number|null} index - Item the worker was on
+   * @param {string} [reason] - Known cause (skips the health check)
+   * @returns {Promise<boolean>} True when the browser was relaunched, or the item requeued because the
+   *   worker is stopping (the failure isn't the item's)
+   * @throws {Error} BROWSER_CRASHED once maxRelaunches is used up
+   * @private
+   */
+  async _recoverBrowser(index, reason = null) {
+    reason = reason || await this._checkBrowserHealth();
+    if (!reason) {
+      return false;
+    }
+    const inFlight = index !== null && this.manifest.manifest.items[index]?.status === 'IN_PROGRESS';
+
+    // Stopping anyway (e.g. a force quit closed the browser): requeue the item instead of relaunching
+    if (this.shouldStop) {
+      if (inFlight) {
+        await this.manifest.releaseItemAtomic(index, this.workerId);
+      }
+      return true;
+    }
+
+    while (true) {
+      if (this.relaunches >= this.maxRelaunches) {
+        if (inFlight) {
+          await this.manifest.releaseItemAtomic(index, this.workerId);
+        }
+        this.logger.error(
+          `[Worker ${this.workerId}] Browser unusable: ${reason}; giving up after ${this.relaunches} relaunch(es)`
+        );
+        throw new Error(`BROWSER_CRASHED: ${reason}; giving up after ${this.relaunches} relaunch(es)`);
+      }
 
-      // Copy account profile to worker-specific directory
-      const sourceProfileDir = path.join(config.PROFILES_DIR, `${this.accountAlias}-chrome`);
+      this.relaunches++;
+      await this.manifest.incrementCounterAtomic('relaunchCount');
+      this.logger.warn(
+        `[Worker ${this.workerId}] Browser unusable: ${reason}; relaunching (${this.relaunches}/${this.maxRelaunches})`
+      );
 
       try {
-        await fs.access(sourceProfileDir);
-        await fs.cp(sourceProfileDir, this.workerProfileDir, {
-          recursive: true,
-          force: true
-        });
+        await this._closeBrowser();
+        await this._openBrowser();
+        break;
       } catch (error) {
-        if (error.code === 'ENOENT') {
-          // Profile will be created by Playwright
-        } else {
-          throw error;
+        if (error.message.startsWith('AUTH_REQUIRED')) {
+          await this._stopForExpiredSession(inFlight ? index : null, 'AUTH_EXPIRED: Logged out after browser relaunch');
         }
+        reason = `relaunch failed (${error.message})`;
       }
+    }
+
+    if (inFlight && await this.manifest.releaseItemAtomic(index, this.workerId)) {
+      this.logger.info(`[Worker ${this.workerId}] Attempt ${index + 1} requeued after relaunch`);
+    }
+    this.logger.success(`[Worker ${this.workerId}] Browser relaunched`);
+    return true;
+  }
+
+  /**
+   * Navigate to a permalink and wait for the generation UI
+   * @private
+   */
+  async _navigateTo(permalink) {
+    await this.page.goto(permalink, {
+      waitUntil: 'domcontentloaded',
+      timeout: config.PAGE_LOAD_TIMEOUT,
+    });
+    await sleep(3000);
+    await this._waitForReadyUI();
+    this.currentPermalink = permalink;
+  }
+
+  /**
+   * Launch Chrome on a profile leased from the account's warm pool. Reuses a profile copy from
+   * earlier runs; it is copied again only if the account's session changed.
+   * @private
+   */
+  async _launchProfile() {
+    // A relaunch keeps the slot the worker already holds
+    if (this.profileSlot === null) {
+      const slot = await this.profilePool.acquire({ jobName: this.jobName, workerId: this.workerId });
+      this.profileSlot = slot.index;
+      this.workerProfileDir = slot.dir;
+      this.logger.info(`[Worker ${this.workerId}] Profile slot ${slot.index} of ${this.accountAlias} (${slot.state})`);
+    }
 
-      // Launch persistent context with worker-specific profile
-      const chromeProfileName = config.CHROME_PROFILE_NAME || 'Default';
-      const launchArgs = [
+    const chromeProfileName = config.CHROME_PROFILE_NAME || 'Default';
+    this.context = await chromium.launchPersistentContext(this.workerProfileDir, {
+      channel: 'chrome',
+      headless: !config.HEADED_MODE,
+      viewport: config.VIEWPORT,
+      args: [
         '--disable-blink-features=AutomationControlled',
         `--profile-directory=${chromeProfileName}`,
-      ];
-
-      this.context = await chromium.launchPersistentContext(this.workerProfileDir, {
-        channel: 'chrome',
-        headless: !config.HEADED_MODE,
-        viewport: config.VIEWPORT,
-        args: launchArgs,
-      });
+      ],
+    });
+  }
 
-      // Get or create page
-      this.page = this.context.pages()[0] || await this.context.newPage();
-      this.page.setDefaultTimeout(config.ELEMENT_WAIT_TIMEOUT);
-      this.page.setDefaultNavigationTimeout(config.PAGE_LOAD_TIMEOUT);
+  /**
+   * Generate an item, retrying moderated attempts per the moderation policy.
+   * Every moderated attempt is recorded in the item's moderationHistory.
+   * @returns {Promise<{result: Object, promptUsed: string, generations: number}>}
+   * @private
+   */
+  async _generateWithRetries(index, item, prompt) {
+    let promptUsed = prompt;
+    let generations = 0;
 
-      // Navigate to permalink once
-      await this.page.goto(this.permalink, {
-        waitUntil: 'domcontentloaded',
-        timeout: config.PAGE_LOAD_TIMEOUT,
-      });
-      await sleep(3000);
-      await this._waitForReadyUI();
+    while (true) {
+      const result = await this._generateWithWatchdog(index, promptUsed);
+      if (result.attempted) generations++;
+      if (!result.contentModerated) {
+        return { result, promptUsed, generations };
+      }
 
-      // Check authentication
-      const authenticated = await this._isAuthenticated();
-      if (!authenticated) {
-        throw new Error('AUTH_REQUIRED: Not authenticated. Worker cannot proceed.');
+      await this.manifest.recordModerationAtomic(
+        index,
+        { prompt: promptUsed, message: result.error },
+        this.workerId
+      );
+      await this._recordUsage('moderated');
+      if (!this.moderation.enabled) {
+        return { result, promptUsed, generations };
       }
 
-      // Select maximum video duration (once per worker session)
-      await this._selectMaxDuration();
-
-      // Create video generator
-      this.generator = new VideoGenerator(this.page, this.logger);
-
-      // Create post-processor if download/upscale/delete enabled
-      if (this.autoDownload) {
-        const { PostProcessor } = await import('./post-processor.js');
-        this.postProcessor = new PostProcessor(this.page, this.logger, {
-          autoDownload: this.autoDownload,
-          autoUpscale: this.autoUpscale,
-          autoDelete: this.autoDelete,
-          downloadDir: this.downloadDir,
-          jobName: this.jobName,
-        });
+      const nextPrompt = this.moderation.nextPrompt(prompt, generations);
+      if (nextPrompt === null || this.shouldStop) {
+        return { result, promptUsed, generations };
+      }
+      if (this.moderation.rateExceeded(this.manifest.getModerationStats(item.promptIndex ?? 0))) {
+        result.error = `${result.error} (retries stopped: prompt moderation rate above ` +
+          `${Math.round(this.moderation.maxModerationRate * 100)}%)`;
+        return { result, promptUsed, generations };
       }
 
-      this.logger.success(`[Worker ${this.workerId}] Ready`);
+      this.logger.info(
+        `[Worker ${this.workerId}] Attempt ${index + 1}: Moderated, retry ${generations}/${this.moderation.retries} ` +
+        `in ${Math.round(this.moderation.cooldown / 1000)}s` +
+        (nextPrompt !== promptUsed ? ` with prompt "${nextPrompt.slice(0, 50)}"` : '')
+      );
+      await sleep(this.moderation.cooldown);
+      promptUsed = nextPrompt;
+    }
+  }
+
+  /**
+   * One generation attempt, given up as a hung page when it runs ATTEMPT_WATCHDOG_MARGIN past
+   * VIDEO_GENERATION_TIMEOUT (the attempt is abandoned; the browser is relaunched afterwards)
+   * @private
+   */
+  async _generateWithWatchdog(index, prompt) {
+    const limit = config.VIDEO_GENERATION_TIMEOUT + config.ATTEMPT_WATCHDOG_MARGIN;
+    let timer;
+    const watchdog = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({
+        success: false,
+        rateLimited: false,
+        attempted: false,
+        contentModerated: false,
+        hung: true,
+        error: `PAGE_HUNG: Attempt still running after ${Math.round(limit / 1000)}s`,
+      }), limit);
+    });
+    try {
+      return await Promise.race([this.generator.generate(index, prompt), watchdog]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Record an attempt of this worker's account in the usage ledger. Ledger errors are
+   * logged and never fail the item.
+   * @private
+   */
+  async _recordUsage(outcome, message = null) {
+    try {
+      await this.usageLedger.record(this.accountAlias, outcome, { jobName: this.jobName, message });
     } catch (error) {
-      this.logger.error(`[Worker ${this.workerId}] Initialization failed`, error);
-      await this.shutdown();
-      throw error;
+      this.logger.warn(`[Worker ${this.workerId}] Could not update usage ledger: ${error.message}`);
     }
   }
 
   /**
-   * Check if user is authenticated
+   * Record in accounts.json that this worker's account needs a new login. Errors are logged
+   * and never hide the expired session.
    * @private
    */
-  async _isAuthenticated() {
+  async _markAuthExpired(message) {
     try {
-      // Look for login button - if present, not authenticated
-      const loginButton = await this.page.$('button:has-text("Log in"), button:has-text("Sign in")');
-      return !loginButton;
-    } catch {
-      return false;
+      await new AccountManager().markAuthExpired(this.accountAlias, { jobName: this.jobName, message });
+    } catch (error) {
+      this.logger.warn(`[Worker ${this.workerId}] Could not update account status: ${error.message}`);
     }
   }
 
+  /**
+   * Hand an item back after the account's session expired, mark the account and signal
+   * the coordinator to stop the account's workers
+   * @param {number|null} index - Item in flight, if any
+   * @private
+   */
+  async _stopForExpiredSession(index, message) {
+    this.logger.warn(
+      `[Worker ${this.workerId}] Session of account ${this.accountAlias} expired` +
+      (index !== null ? ` during attempt ${index + 1}` : '')
+    );
+    await this.manifest.authExpireAccountAtomic(this.accountAlias, index, message, this.workerId);
+    await this._markAuthExpired(message);
+    throw new Error('AUTH_EXPIRED_STOP'); // Signal to coordinator
+  }
+
+  /**
+   * Check if user is authenticated
+   * @private
+   */
+  async _isAuthenticated() {
+    return isAuthenticated(this.page);
+  }
+
   /**
    * Wait for page UI to be ready for generation.
    * @private
@@ -164,65 +451,207 @@ export class ParallelWorker {
   }
 
   /**
-   * Select the maximum available video duration.
-   * Called once per worker session during initialization.
+   * Open the "Video Options" menu and list its visible buttons
+   * @returns {Promise<Array<{button: Object, label: string}>|null>} Null if the menu button is missing
    * @private
    */
-  async _selectMaxDuration() {
+  async _openVideoOptionsMenu() {
+    const optionsButton = await this.page.$(selectors.VIDEO_OPTIONS_BUTTON);
+    if (!optionsButton) {
+      return null;
+    }
+
+    await optionsButton.click();
+    await sleep(config.UI_ACTION_DELAY); // Wait for menu to open
+
+    const entries = [];
+    for (const button of await this.page.$$('button')) {
+      const isVisible = await button.isVisible().catch(() => false);
+      if (!isVisible) continue;
+
+      const ariaLabel = await button.getAttribute('aria-label').catch(() => '');
+      const text = await button.innerText().catch(() => '');
+      const label = (ariaLabel || text).trim();
+      if (label) entries.push({ button, label });
+    }
+    return entries;
+  }
+
+  /**
+   * Handle a requested option that the menu doesn't offer: throw in strict mode,
+   * otherwise warn and keep the default
+   * @private
+   */
+  _optionUnavailable(message) {
+    if (this.strictOptions) {
+      throw new Error(`OPTION_UNAVAILABLE: ${message}`);
+    }
+    this.logger.warn(`[Worker ${this.workerId}] ${message}, using default`);
+  }
+
+  /**
+   * Apply the job's generation options on the current page: duration, then any other
+   * "Video Options" menu choices. Called during initialization and after navigating.
+   * @param {'max'|'min'|'default'|number} duration - Duration to select
+   * @throws {Error} OPTION_UNAVAILABLE in strict mode
+   * @private
+   */
+  async _applyGenerationOptions(duration) {
+    await this._selectDuration(duration);
+
+    this.selectedOptions = {};
+    for (const [name, wanted] of Object.entries(this.videoOptions)) {
+      await this._selectVideoOption(name, wanted);
+    }
+  }
+
+  /**
+   * Select a non-duration option (e.g. mode or resolution) by its menu label
+   * @private
+   */
+  async _selectVideoOption(name, wanted) {
+    let entries;
     try {
-      // Click video options button to open duration menu
-      const optionsButton = await this.page.$(selectors.VIDEO_OPTIONS_BUTTON);
-      if (!optionsButton) {
-        this.logger.warn(`[Worker ${this.workerId}] Video options button not found, using default duration`);
-        return;
-      }
+      entries = await this._openVideoOptionsMenu();
+    } catch (error) {
+      this._optionUnavailable(`Video options menu failed (${error.message}) for ${name} "${wanted}"`);
+      return;
+    }
+    if (!entries) {
+      this._optionUnavailable(`Video options button not found for ${name} "${wanted}"`);
+      return;
+    }
 
-      await optionsButton.click();
-      await sleep(config.UI_ACTION_DELAY); // Wait for menu to open
+    const target = wanted.toLowerCase();
+    const choice = entries.find(e => e.label.toLowerCase() === target) ||
+      entries.find(e => e.label.toLowerCase().startsWith(target));
 
-      // Find all buttons in the menu and filter for duration patterns (e.g., "6s", "10s")
-      const buttons = await this.page.$$('button');
-      const durationButtons = [];
+    if (!choice) {
+      await this.page.keyboard.press('Escape');
+      const available = entries.map(e => e.label).slice(0, 15).join(', ');
+      this._optionUnavailable(`Option ${name} "${wanted}" not available (options: ${available})`);
+      return;
+    }
 
-      for (const button of buttons) {
-        const isVisible = await button.isVisible().catch(() => false);
-        if (!isVisible) continue;
+    await choice.button.click();
+    await sleep(config.UI_ACTION_DELAY);
+    // Close the menu if the click left it open
+    await this.page.keyboard.press('Escape').catch(() => {});
 
-        const ariaLabel = await button.getAttribute('aria-label').catch(() => '');
-        const text = await button.innerText().catch(() => '');
-        const label = ariaLabel || text;
+    this.selectedOptions[name] = choice.label;
+    this.logger.info(`[Worker ${this.workerId}] Selected ${name}: ${choice.label}`);
+  }
 
-        // Match duration pattern: digits followed by 's' (e.g., "6s", "10s")
-        const match = label.match(/^(\d+)s$/);
-        if (match) {
-          durationButtons.push({
-            button,
-            duration: parseInt(match[1], 10),
-            label,
-          });
-        }
-      }
+  /**
+   * Select a video duration from the "Video Options" menu.
+   * Called when applying generation options and when an item (matrix cell) requests a
+   * different duration than the current one.
+   * @param {'max'|'min'|'default'|number} requested - Longest / shortest available, leave the
+   *   menu untouched, or seconds
+   * @throws {Error} OPTION_UNAVAILABLE in strict mode
+   * @private
+   */
+  async _selectDuration(requested = 'max') {
+    this.durationSetting = requested;
+    this.selectedDuration = null;
 
-      if (durationButtons.length === 0) {
-        this.logger.warn(`[Worker ${this.workerId}] No duration buttons found, using default duration`);
-        // Close menu by clicking elsewhere
-        await this.page.keyboard.press('Escape');
-        return;
-      }
+    if (requested === 'default') {
+      return;
+    }
 
-      // Find and click the maximum duration
-      const maxDuration = durationButtons.reduce((max, curr) =>
-        curr.duration > max.duration ? curr : max
-      );
+    let entries;
+    try {
+      entries = await this._openVideoOptionsMenu();
+    } catch (error) {
+      this._optionUnavailable(`Duration selection failed: ${error.message}`);
+      return;
+    }
+    if (!entries) {
+      this._optionUnavailable('Video options button not found');
+      return;
+    }
+
+    // Duration buttons are labelled like "6s", "10s"
+    const durationButtons = entries
+      .map(e => ({ ...e, match: e.label.match(/^(\d+)s$/) }))
+      .filter(e => e.match)
+      .map(e => ({ button: e.button, label: e.label, duration: parseInt(e.match[1], 10) }));
+
+    if (durationButtons.length === 0) {
+      await this.page.keyboard.press('Escape');
+      this._optionUnavailable('No duration buttons found');
+      return;
+    }
+
+    let choice;
+    if (requested === 'max') {
+      choice = durationButtons.reduce((max, curr) => curr.duration > max.duration ? curr : max);
+    } else if (requested === 'min') {
+      choice = durationButtons.reduce((min, curr) => curr.duration < min.duration ? curr : min);
+    } else {
+      choice = durationButtons.find(b => b.duration === requested);
+    }
+
+    if (!choice) {
+      await this.page.keyboard.press('Escape');
+      const available = durationButtons.map(b => b.label).join(', ');
+      this._optionUnavailable(`Duration ${requested}s not available (options: ${available})`);
+      return;
+    }
+
+    await choice.button.click();
+    await sleep(config.UI_ACTION_DELAY); // Wait for menu to close
+
+    this.selectedDuration = `${choice.duration}s`;
+    this.logger.info(`[Worker ${this.workerId}] Selected video duration: ${this.selectedDuration}`);
+  }
+
+  /**
+   * Compare the generated video's length with the selected duration
+   * @param {number|null} videoDuration - Measured <video> duration in seconds
+   * @returns {boolean|null} Null when there is nothing to compare
+   * @private
+   */
+  _verifyDuration(videoDuration) {
+    if (!this.selectedDuration || !videoDuration) {
+      return null;
+    }
+    const expected = parseInt(this.selectedDuration, 10);
+    return Math.abs(videoDuration - expected) <= config.VIDEO_DURATION_TOLERANCE;
+  }
 
-      await maxDuration.button.click();
-      await sleep(config.UI_ACTION_DELAY); // Wait for menu to close
+  /**
+   * Renew the lease on the current item every ITEM_HEARTBEAT_INTERVAL (no-op if already running)
+   * @private
+   */
+  _startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => this._heartbeat(), config.ITEM_HEARTBEAT_INTERVAL);
+  }
 
-      this.selectedDuration = `${maxDuration.duration}s`;
-      this.logger.info(`[Worker ${this.workerId}] Selected video duration: ${this.selectedDuration}`);
+  /**
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Renew the lease on the current item; a refused renewal means the item was reclaimed
+   * (e.g. the worker stalled past ITEM_LEASE_TTL) and may be with another worker now
+   * @private
+   */
+  async _heartbeat() {
+    const index = this.currentIndex;
+    if (index === null || this.leaseLost === index) return;
+    try {
+      const held = await this.manifest.renewLeaseAtomic(index, this.workerId);
+      if (!held && this.currentIndex === index) {
+        this.leaseLost = index;
+      }
     } catch (error) {
-      this.logger.warn(`[Worker ${this.workerId}] Duration selection failed: ${error.message}, using default`);
-      this.selectedDuration = null;
+      this.logger.warn(`[Worker ${this.workerId}] Lease renewal failed: ${error.message}`);
     }
   }
 
@@ -232,186 +661,357 @@ export class ParallelWorker {
   async run() {
     this.isRunning = true;
     let stoppedEarly = false;
+    this._startHeartbeat();
 
     try {
       while (!this.shouldStop) {
-        // Claim next item atomically
-        const item = await this.manifest.claimNextItem(this.workerId);
+        try {
+          this.currentIndex = null;
 
-        if (!item) {
-          this.logger.info(`[Worker ${this.workerId}] No more work available, exiting`);
-          break;
-        }
+          // Claim next item atomically (prefer items on the current page)
+          const item = await this.manifest.claimNextItem(this.workerId, {
+            permalink: this.currentPermalink,
+            account: this.accountAlias,
+          });
 
-        const index = item.index;
-
-        // Check if we should stop BEFORE starting new work
-        if (this.shouldStop) {
-          this.logger.info(`[Worker ${this.workerId}] Stop signal received, releasing unclaimed item ${index + 1}`);
-          // Release the item back to PENDING
-          await this.manifest.updateItemAtomic(
-            index,
-            { status: 'PENDING' },
-            this.workerId
-          );
-          stoppedEarly = true;
-          break;
-        }
+          if (!item) {
+            // targetSuccesses mode: an item still in flight may fail and add a replacement;
+            // failed items may be waiting for their retry backoff
+            if (this.manifest.mayGrow() || this.manifest.hasScheduledRetries()) {
+              await sleep(5000);
+              continue;
+            }
+            this.logger.info(`[Worker ${this.workerId}] No more work available, exiting`);
+            break;
+          }
 
-        this.logger.info(`[Worker ${this.workerId}] Attempting generation ${index + 1}`);
-
-        // Generate video (returns result with success, rateLimited, attempted)
-        const result = await this.generator.generate(index, this.prompt);
-        const duration = Math.round((result.durationMs || 0) / 1000);
-
-        // Handle rate limit
-        if (result.rateLimited) {
-          this.logger.warn(`[Worker ${this.workerId}] Rate limit detected during attempt ${index + 1}`);
-          await this.manifest.updateItemAtomic(
-            index,
-            {
-              status: 'RATE_LIMITED',
-              error: result.error,
-              attempts: 0
-            },
-            this.workerId
-          );
-          throw new Error('RATE_LIMIT_STOP'); // Signal to coordinator
-        }
+          const index = item.index;
+          this.currentIndex = index;
+          this.leaseLost = null;
+
+          // Check if we should stop BEFORE starting new work
+          if (this.shouldStop) {
+            this.logger.info(`[Worker ${this.workerId}] Stop signal received, releasing unclaimed item ${index + 1}`);
+            // Release the item back to PENDING
+            await this.manifest.releaseItemAtomic(index, this.workerId);
+            stoppedEarly = true;
+            break;
+          }
 
-        // Handle success
-        if (result.success) {
-          await this.manifest.updateItemAtomic(
-            index,
-            {
-              status: 'COMPLETED',
-              attempts: result.attempted ? 1 : 0
-            },
-            this.workerId
-          );
-
-          const durationInfo = this.selectedDuration ? ` (${this.selectedDuration} video)` : '';
-          this.logger.success(
-            `[Worker ${this.workerId}] Attempt ${index + 1}: Success in ${duration}s${durationInfo} - ${this.page.url()}`
-          );
-
-          // Post-processing: download and/or delete
-          if (this.postProcessor) {
-            const postResult = await this.postProcessor.process(index);
-
-            // Update manifest with download results
-            if (postResult.downloaded) {
-              await this.manifest.incrementCounterAtomic('downloadedCount');
-              await this.manifest.updateItemAtomic(index, {
-                downloaded: true,
-                downloadPath: postResult.downloadPath,
-              }, this.workerId);
-              this.logger.success(
-                `[Worker ${this.workerId}] Attempt ${index + 1}: Downloaded to ${postResult.downloadPath} (${postResult.fileSize})`
+          // Multi-permalink jobs: move to the item's source image if we're elsewhere.
+          // Retries of technical failures always start from a freshly loaded page.
+          const retrying = item.retries > 0;
+          if (item.permalink && (retrying || item.permalink !== this.currentPermalink)) {
+            try {
+              this.logger.info(
+                retrying
+                  ? `[Worker ${this.workerId}] Reloading ${item.permalink} for retry ${item.retries} of attempt ${index + 1}`
+                  : `[Worker ${this.workerId}] Navigating to ${item.permalink}`
               );
-            } else if (this.autoDownload) {
-              await this.manifest.incrementCounterAtomic('downloadFailedCount');
-              this.logger.warn(
-                `[Worker ${this.workerId}] Attempt ${index + 1}: Download failed - ${postResult.downloadError}`
+              await this._navigateTo(item.permalink);
+              this.durationSetting = null; // Options are applied again on the new page
+            } catch (error) {
+              if (await this._recoverBrowser(index)) {
+                continue; // Item requeued; the relaunched browser picks up work again
+              }
+              await this.manifest.updateItemAtomic(
+                index,
+                {
+                  status: 'FAILED',
+                  error: `Navigation failed: ${error.message}`,
+                  attempts: item.attempts // Attempts of earlier tries (retried items)
+                },
+                this.workerId
+              );
+              this.logger.error(
+                `[Worker ${this.workerId}] Attempt ${index + 1}: Navigation to ${item.permalink} failed - ${error.message}`
               );
+              this.currentPermalink = null;
+              await sleep(2000);
+              continue;
             }
+          }
 
-            // Update manifest with upscale results
-            if (postResult.upscaled) {
-              await this.manifest.incrementCounterAtomic('upscaledCount');
-              await this.manifest.updateItemAtomic(index, {
-                upscaled: true,
-                upscaleDownloadPath: postResult.upscaleDownloadPath,
-              }, this.workerId);
-              this.logger.success(
-                `[Worker ${this.workerId}] Attempt ${index + 1}: Upscaled and downloaded HD to ${postResult.upscaleDownloadPath} (${postResult.upscaleFileSize})`
-              );
-            } else if (this.autoUpscale && postResult.downloaded) {
-              await this.manifest.incrementCounterAtomic('upscaleFailedCount');
-              this.logger.warn(
-                `[Worker ${this.workerId}] Attempt ${index + 1}: Upscale failed - ${postResult.upscaleError}`
-              );
+          // Matrix jobs request a duration per item; null means the job default
+          const wantedDuration = item.duration ?? this.duration;
+          try {
+            if (this.durationSetting === null) {
+              await this._applyGenerationOptions(wantedDuration);
+            } else if (wantedDuration !== this.durationSetting) {
+              await this._selectDuration(wantedDuration);
+            }
+          } catch (error) {
+            if (await this._recoverBrowser(index)) {
+              continue;
+            }
+            // Strict mode: don't generate with options other than the requested ones
+            this.durationSetting = null;
+            await this.manifest.updateItemAtomic(
+              index,
+              {
+                status: 'FAILED',
+                error: error.message,
+                attempts: item.attempts
+              },
+              this.workerId
+            );
+            this.logger.error(`[Worker ${this.workerId}] Attempt ${index + 1}: ${error.message}`);
+            await sleep(2000);
+            continue;
+          }
+
+          // Items carry their own prompt (multi-prompt batches); fall back to the run prompt
+          const prompt = item.prompt || this.prompt;
+          const multiPrompt = (this.manifest.manifest?.prompts?.length || 0) > 1;
+          const promptInfo = multiPrompt ? ` (prompt ${item.promptIndex + 1})` : '';
+          this.logger.info(`[Worker ${this.workerId}] Attempting generation ${index + 1}${promptInfo}`);
+
+          // Generate video (returns result with success, rateLimited, attempted); moderated
+          // attempts are retried here according to the moderation policy
+          const { result, promptUsed, generations } = await this._generateWithRetries(index, item, prompt);
+          const duration = Math.round((result.durationMs || 0) / 1000);
+
+          // The lease ran out while generating: the item is back in the queue (or with another worker)
+          const leaseLost = this.leaseLost === index;
+
+          // Session expired: the item wasn't generated and goes back to the queue
+          if (result.authExpired) {
+            await this._stopForExpiredSession(leaseLost ? null : index, result.error);
+          }
+
+          // Handle rate limit
+          if (result.rateLimited) {
+            this.logger.warn(
+              `[Worker ${this.workerId}] Rate limit detected on account ${this.accountAlias} during attempt ${index + 1}`
+            );
+            // Account pools: the item goes back to the queue while other accounts can continue
+            await this.manifest.rateLimitAccountAtomic(
+              this.accountAlias,
+              leaseLost ? null : index,
+              {
+                error: result.error,
+                attempts: item.attempts
+              },
+              this.workerId
+            );
+            await this._recordUsage('rate_limited', result.error);
+            throw new Error('RATE_LIMIT_STOP'); // Signal to coordinator
+          }
+
+          if (leaseLost) {
+            this.logger.warn(
+              `[Worker ${this.workerId}] Attempt ${index + 1}: Lease was reclaimed during generation, ` +
+              `discarding the result${result.success ? ' (the video stays on the server)' : ''}`
+            );
+            continue;
+          }
+
+          // A crashed, closed or hung browser isn't the item's failure: relaunch and requeue it
+          if (!result.success && !result.contentModerated &&
+              await this._recoverBrowser(index, result.hung ? 'page not responding' : null)) {
+            continue;
+          }
+
+          // Record the options used and check the video against the selected duration
+          const durationVerified = result.success ? this._verifyDuration(result.videoDuration) : null;
+          const optionFields = {
+            selectedOptions: { duration: this.selectedDuration, ...this.selectedOptions },
+            videoDuration: result.videoDuration ?? null,
+            durationVerified,
+          };
+          if (durationVerified === false) {
+            const mismatch = `Video is ${result.videoDuration.toFixed(1)}s, expected ${this.selectedDuration}`;
+            if (this.strictOptions) {
+              result.success = false;
+              result.error = `DURATION_MISMATCH: ${mismatch}`;
+            } else {
+              this.logger.warn(`[Worker ${this.workerId}] Attempt ${index + 1}: ${mismatch}`);
             }
+          }
+
+          // Handle success
+          if (result.success) {
+            await this.manifest.updateItemAtomic(
+              index,
+              {
+                status: 'COMPLETED',
+                attempts: item.attempts + generations,
+                promptUsed: promptUsed !== prompt ? promptUsed : null,
+                generationMs: result.durationMs ?? null,
+                ...optionFields,
+              },
+              this.workerId
+            );
+            await this._recordUsage('success');
 
-            // Update manifest with delete results
-            if (postResult.deleted) {
-              await this.manifest.incrementCounterAtomic('deletedCount');
-              await this.manifest.updateItemAtomic(index, { deleted: true }, this.workerId);
-              this.logger.success(
-                `[Worker ${this.workerId}] Attempt ${index + 1}: Deleted from server`
+            const durationInfo = this.selectedDuration ? ` (${this.selectedDuration} video)` : '';
+            this.logger.success(
+              `[Worker ${this.workerId}] Attempt ${index + 1}: Success in ${duration}s${durationInfo} - ${this.page.url()}`
+            );
+
+            // Post-processing: download and/or delete
+            if (this.postProcessor && this.skipPostProcessing) {
+              this.logger.info(`[Worker ${this.workerId}] Attempt ${index + 1}: Post-processing skipped (interrupted)`);
+            } else if (this.postProcessor) {
+              // Multi-permalink jobs download into a per-permalink subfolder
+              this.postProcessor.setDownloadDir(
+                item.downloadSubdir ? path.join(this.downloadDir, item.downloadSubdir) : this.downloadDir
               );
-            } else if (this.autoDelete && postResult.downloaded) {
-              // Only log delete failure if it wasn't skipped due to upscale failure
-              if (!this.autoUpscale || postResult.upscaled) {
-                await this.manifest.incrementCounterAtomic('deleteFailedCount');
+              const postResult = await this.postProcessor.process(index);
+
+              // Update manifest with download results
+              if (postResult.downloaded) {
+                await this.manifest.incrementCounterAtomic('downloadedCount');
+                await this.manifest.updateItemAtomic(index, {
+                  downloaded: true,
+                  downloadPath: postResult.downloadPath,
+                }, this.workerId);
+                this.logger.success(
+                  `[Worker ${this.workerId}] Attempt ${index + 1}: Downloaded to ${postResult.downloadPath} (${postResult.fileSize})`
+                );
+              } else if (this.autoDownload) {
+                await this.manifest.incrementCounterAtomic('downloadFailedCount');
                 this.logger.warn(
-                  `[Worker ${this.workerId}] Attempt ${index + 1}: Delete failed - ${postResult.deleteError}`
+                  `[Worker ${this.workerId}] Attempt ${index + 1}: Download failed - ${postResult.downloadError}`
                 );
-              } else {
-                this.logger.info(
-                  `[Worker ${this.workerId}] Attempt ${index + 1}: Delete skipped - upscale failed`
+              }
+
+              // Update manifest with upscale results
+              if (postResult.upscaled) {
+                await this.manifest.incrementCounterAtomic('upscaledCount');
+                await this.manifest.updateItemAtomic(index, {
+                  upscaled: true,
+                  upscaleDownloadPath: postResult.upscaleDownloadPath,
+                }, this.workerId);
+                this.logger.success(
+                  `[Worker ${this.workerId}] Attempt ${index + 1}: Upscaled and downloaded HD to ${postResult.upscaleDownloadPath} (${postResult.upscaleFileSize})`
+                );
+              } else if (this.autoUpscale && postResult.downloaded) {
+                await this.manifest.incrementCounterAtomic('upscaleFailedCount');
+                this.logger.warn(
+                  `[Worker ${this.workerId}] Attempt ${index + 1}: Upscale failed - ${postResult.upscaleError}`
                 );
               }
+
+              // Update manifest with delete results
+              if (postResult.deleted) {
+                await this.manifest.incrementCounterAtomic('deletedCount');
+                await this.manifest.updateItemAtomic(index, { deleted: true }, this.workerId);
+                this.logger.success(
+                  `[Worker ${this.workerId}] Attempt ${index + 1}: Deleted from server`
+                );
+              } else if (this.autoDelete && postResult.downloaded) {
+                // Only log delete failure if it wasn't skipped due to upscale failure
+                if (!this.autoUpscale || postResult.upscaled) {
+                  await this.manifest.incrementCounterAtomic('deleteFailedCount');
+                  this.logger.warn(
+                    `[Worker ${this.workerId}] Attempt ${index + 1}: Delete failed - ${postResult.deleteError}`
+                  );
+                } else {
+                  this.logger.info(
+                    `[Worker ${this.workerId}] Attempt ${index + 1}: Delete skipped - upscale failed`
+                  );
+                }
+              }
+            }
+          } else if (result.contentModerated) {
+            // Content moderation - expected failure, already logged as WARN in generator
+            await this.manifest.updateItemAtomic(
+              index,
+              {
+                status: 'CONTENT_MODERATED',
+                error: result.error,
+                attempts: item.attempts + generations,
+                promptUsed: promptUsed !== prompt ? promptUsed : null,
+              },
+              this.workerId
+            );
+            // No additional logging - generator already logged WARN
+          } else {
+            // Technical failure - unexpected
+            await this.manifest.updateItemAtomic(
+              index,
+              {
+                status: 'FAILED',
+                error: result.error,
+                attempts: item.attempts + (result.attempted ? 1 : 0),
+                ...optionFields,
+              },
+              this.workerId
+            );
+            if (result.attempted) {
+              await this._recordUsage('failed');
+            }
+
+            // The manifest puts retryable failures back to PENDING (see RetryPolicy)
+            const updated = this.manifest.manifest.items[index];
+            if (updated.status === 'PENDING') {
+              this.logger.warn(
+                `[Worker ${this.workerId}] Attempt ${index + 1}: Failed - ${result.error || 'Unknown error'} ` +
+                `(retry ${updated.retries} after ${new Date(updated.retryAfter).toLocaleTimeString()})`
+              );
+              this.currentPermalink = null; // Don't trust this page for the next item either
+            } else {
+              this.logger.error(
+                `[Worker ${this.workerId}] Attempt ${index + 1}: Failed - ${result.error || 'Unknown error'}`
+              );
             }
           }
-        } else if (result.contentModerated) {
-          // Content moderation - expected failure, already logged as WARN in generator
-          await this.manifest.updateItemAtomic(
-            index,
-            {
-              status: 'CONTENT_MODERATED',
-              error: result.error,
-              attempts: 1
-            },
-            this.workerId
-          );
-          // No additional logging - generator already logged WARN
-        } else {
-          // Technical failure - unexpected
-          await this.manifest.updateItemAtomic(
-            index,
-            {
-              status: 'FAILED',
-              error: result.error,
-              attempts: result.attempted ? 1 : 0
-            },
-            this.workerId
-          );
-
-          this.logger.error(
-            `[Worker ${this.workerId}] Attempt ${index + 1}: Failed - ${result.error || 'Unknown error'}`
-          );
-        }
 
-        // Check if we should stop AFTER completing work
-        if (this.shouldStop) {
-          this.logger.info(`[Worker ${this.workerId}] Stop signal received, exiting after completing attempt ${index + 1}`);
-          stoppedEarly = true;
-          break;
-        }
+          // Check if we should stop AFTER completing work
+          if (this.shouldStop) {
+            this.logger.info(`[Worker ${this.workerId}] Stop signal received, exiting after completing attempt ${index + 1}`);
+            stoppedEarly = true;
+            break;
+          }
 
-        // Small delay between generations
-        await sleep(2000);
+          // Small delay between generations
+          await sleep(2000);
+        } catch (error) {
+          if (error.message === 'RATE_LIMIT_STOP' || error.message === 'AUTH_EXPIRED_STOP' ||
+              error.message.startsWith('BROWSER_CRASHED')) {
+            throw error; // Propagate to coordinator
+          }
+          // Playwright errors of a crashed or closed browser: relaunch and continue the loop
+          if (!this.shouldStop && await this._recoverBrowser(this.currentIndex)) {
+            continue;
+          }
+          this.logger.error(`[Worker ${this.workerId}] Fatal error in work loop`, error);
+          throw error;
+        }
       }
 
       if (!stoppedEarly) {
         this.logger.info(`[Worker ${this.workerId}] Work loop completed`);
       }
-    } catch (error) {
-      if (error.message === 'RATE_LIMIT_STOP') {
-        throw error; // Propagate to coordinator
-      }
-      this.logger.error(`[Worker ${this.workerId}] Fatal error in work loop`, error);
-      throw error;
     } finally {
       this.isRunning = false;
+      this.currentIndex = null;
+      this._stopHeartbeat();
     }
   }
 
+  /**
+   * Generate the source images of a text-to-image job (see ImageGenerator.generate)
+   * @param {string} prompt - Image prompt
+   * @param {number|'all'} pick - Number of images to keep, or 'all'
+   */
+  async generateImages(prompt, pick) {
+    const imageGenerator = new ImageGenerator(this.page, this.logger);
+    const result = await imageGenerator.generate(prompt, pick);
+    this.currentPermalink = null; // Page left the starting permalink; navigate before the first video
+    return result;
+  }
+
   /**
    * Signal worker to stop
+   * @param {Object} [options]
+   * @param {boolean} [options.skipPostProcessing] - Don't download/upscale/delete the video in progress
    */
-  stop() {
+  stop(options = {}) {
+    if (options.skipPostProcessing) {
+      this.skipPostProcessing = true;
+    }
     if (!this.shouldStop) {
       this.logger.info(`[Worker ${this.workerId}] Stop signal received`);
       this.shouldStop = true;
@@ -425,18 +1025,16 @@ export class ParallelWorker {
     const shutdownStart = Date.now();
 
     try {
-      if (this.context) {
-        await this.context.close();
-        this.context = null;
-        this.page = null;
-        this.generator = null;
-      }
+      await this._closeBrowser();
 
-      // Cleanup worker profile
-      try {
-        await fs.rm(this.workerProfileDir, { recursive: true, force: true });
-      } catch (error) {
-        this.logger.warn(`[Worker ${this.workerId}] Profile cleanup failed: ${error.message}`);
+      // Return the profile to the pool for the next run
+      if (this.profileSlot !== null) {
+        try {
+          await this.profilePool.release(this.profileSlot);
+        } catch (error) {
+          this.logger.warn(`[Worker ${this.workerId}] Profile release failed: ${error.message}`);
+        }
+        this.profileSlot = null;
       }
 
       const shutdownDurationMs = Date.now() - shutdownStart;
@@ -6,21 +6,36 @@
 
 import { AccountManager } from './core/accounts.js';
 import { VideoGenerator } from './core/generator.js';
+import { ImageGenerator } from './core/image-generator.js';
 import { ManifestManager } from './core/manifest.js';
+import { ManifestJournal } from './core/manifest-journal.js';
+import { migrateManifest } from './core/manifest-schema.js';
+import { JobManager } from './core/jobs.js';
+import { ImageUploader } from './core/uploader.js';
 import { ParallelRunner } from './core/parallel-runner.js';
 import { ParallelWorker } from './core/worker.js';
+import { ModerationPolicy } from './core/moderation.js';
+import { RetryPolicy } from './core/retry-policy.js';
+import { CooldownScheduler } from './core/cooldown.js';
+import { UsageLedger } from './core/usage-ledger.js';
+import { AdaptiveController } from './core/adaptive.js';
+import { ProfilePool } from './core/profile-pool.js';
+import { RunLocks } from './core/run-locks.js';
 import { Logger } from './utils/logger.js';
-import { FileLock } from './utils/lock.js';
+import { FileLock, MemoryLock } from './utils/lock.js';
 import config, { selectors } from './config.js';
 
 console.log('✓ All imports successful');
 console.log('✓ Config loaded:', {
   profilesDir: config.PROFILES_DIR,
   runsDir: config.RUNS_DIR,
+  jobsDir: config.JOBS_DIR,
   defaultBatchSize: config.DEFAULT_BATCH_SIZE,
   defaultParallelism: config.DEFAULT_PARALLELISM,
   maxParallelism: config.MAX_PARALLELISM,
 });
 console.log('✓ Selectors loaded:', Object.keys(selectors).length, 'selectors');
-console.log('✓ Parallel modules loaded: ParallelRunner, ParallelWorker, FileLock');
+console.log('✓ Parallel modules loaded: ParallelRunner, ParallelWorker, AdaptiveController, ProfilePool, RunLocks, FileLock, MemoryLock');
+console.log('✓ Job modules loaded: JobManager, ManifestJournal, migrateManifest, ModerationPolicy, RetryPolicy, CooldownScheduler, UsageLedger');
+console.log('✓ Image modules loaded: ImageUploader, ImageGenerator');
 console.log('\n✅ Code structure is valid!\n');
@@ -0,0 +1,20 @@
+import fs from 'fs/promises';
+
+let tmpCounter = 0;
+
+/**
+ * Write JSON through a temporary file and a rename, so readers never see a partial file
+ * and an interrupted write leaves the previous content in place
+ * @param {string} filePath - Destination file
+ * @param {*} data - Value to write (pretty-printed JSON)
+ */
+export async function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}-${++tmpCounter}.tmp`;
+  try {
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf-8');
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.unlink(tmpPath).catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Disk usage utilities
+ */
+
+/**
+ * Total size of the files under a directory (0 if it doesn't exist)
+ * @param {string} dir - Directory path
+ * @returns {Promise<number>} Bytes
+ */
+export async function directorySize(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      try {
+        total += (await fs.stat(entryPath)).size;
+      } catch {
+        // File removed while walking (e.g. by a running browser)
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * Format a byte count as KB/MB/GB
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)}KB`;
+  } else if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)}GB`;
+}
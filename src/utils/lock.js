@@ -2,17 +2,44 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 
+/**
+ * A lock file that can't be parsed this soon after its last write is still being written by its holder
+ */
+const PARTIAL_LOCK_GRACE = 5000;
+
+let staleCounter = 0;
+
+/**
+ * Whether a process still exists (lock and lease holder check)
+ */
+export function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
 /**
  * File-based locking utility for coordinating concurrent access
  * Uses atomic file creation to implement a mutex lock
  */
 export class FileLock {
-  constructor(lockPath) {
+  /**
+   * @param {string} lockPath - Lock file
+   * @param {Object} [options]
+   * @param {number|null} [options.staleTimeout] - Age after which the lock counts as stale (default 60s);
+   *   null for leases held as long as their process lives
+   * @param {Object} [options.owner] - Extra fields written to the lock file (e.g. { jobName })
+   */
+  constructor(lockPath, options = {}) {
     this.lockPath = lockPath;
     this.lockDir = path.dirname(lockPath);
     this.locked = false;
     this.pollInterval = 100; // Check every 100ms
-    this.staleTimeout = 60000; // Consider lock stale after 60s
+    this.staleTimeout = options.staleTimeout !== undefined ? options.staleTimeout : 60000; // Consider lock stale after 60s
+    this.owner = options.owner || {};
   }
 
   /**
@@ -27,13 +54,15 @@ export class FileLock {
     // Ensure lock directory exists
     await fs.mkdir(this.lockDir, { recursive: true });
 
-    while (Date.now() - startTime < timeout) {
+    // Always try at least once (timeout 0: tryAcquire); the deadline is only checked before waiting
+    for (;;) {
       try {
         // Try to create lock file atomically with exclusive flag
         const lockData = {
           pid: process.pid,
           acquiredAt: new Date().toISOString(),
           hostname: os.hostname(),
+          ...this.owner,
         };
 
         await fs.writeFile(this.lockPath, JSON.stringify(lockData, null, 2), {
@@ -43,36 +72,53 @@ export class FileLock {
         this.locked = true;
         return;
       } catch (error) {
-        if (error.code === 'EEXIST') {
-          // Lock file exists, check if it's stale
-          try {
-            const lockContent = await fs.readFile(this.lockPath, 'utf-8');
-            const lockData = JSON.parse(lockContent);
-            const lockAge = Date.now() - new Date(lockData.acquiredAt).getTime();
-
-            if (lockAge > this.staleTimeout) {
-              // Stale lock detected, try to remove it
-              console.warn(`Removing stale lock file (age: ${lockAge}ms, holder: pid ${lockData.pid})`);
-              await fs.unlink(this.lockPath).catch(() => {}); // Ignore errors
-              // Try again immediately
-              continue;
-            }
-          } catch (parseError) {
-            // Corrupt lock file, try to remove it
-            console.warn('Removing corrupt lock file');
-            await fs.unlink(this.lockPath).catch(() => {});
-            continue;
-          }
-
-          // Valid lock held by another process, wait
-          await this._sleep(this.pollInterval);
-        } else {
+        if (error.code !== 'EEXIST') {
           throw error;
         }
+        // Lock file exists: take it over right away if its holder is gone, otherwise wait
+        if (await this._removeIfStale()) {
+          continue;
+        }
+        if (Date.now() - startTime >= timeout) {
+          break;
+        }
+        await this._sleep(this.pollInterval);
       }
     }
 
-    throw new Error(`Failed to acquire lock within ${timeout}ms: ${this.lockPath}`);
+    const error = new Error(`Failed to acquire lock within ${timeout}ms: ${this.lockPath}`);
+    error.code = 'ELOCKED';
+    throw error;
+  }
+
+  /**
+   * Acquire the lock only if it is free (or stale)
+   * @returns {Promise<boolean>} True when acquired
+   */
+  async tryAcquire() {
+    try {
+      await this.acquire(0);
+      return true;
+    } catch (error) {
+      if (error.code === 'ELOCKED') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Contents of the lock file while another live holder has it (pid, hostname, acquiredAt and
+   * owner fields), or null when the lock is free or stale
+   * @returns {Promise<Object|null>}
+   */
+  async holder() {
+    try {
+      const lockData = JSON.parse(await fs.readFile(this.lockPath, 'utf-8'));
+      return this._staleReason(lockData) ? null : lockData;
+    } catch {
+      return null;
+    }
   }
 
   /**
@@ -123,6 +169,86 @@ export class FileLock {
     }
   }
 
+  /**
+   * Remove the lock file if its holder exited (same host) or it is older than staleTimeout.
+   * A file that can't be parsed yet is being written and is left alone for PARTIAL_LOCK_GRACE.
+   * @returns {Promise<boolean>} True when the lock may be retried right away
+   * @private
+   */
+  async _removeIfStale() {
+    let content;
+    let lockData;
+    try {
+      content = await fs.readFile(this.lockPath, 'utf-8');
+      lockData = JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return true; // Released meanwhile
+      }
+      const stat = await fs.stat(this.lockPath).catch(() => null);
+      if (!stat) {
+        return true;
+      }
+      if (Date.now() - stat.mtimeMs < PARTIAL_LOCK_GRACE) {
+        return false;
+      }
+      return await this._removeHolder(content, 'Removing corrupt lock file');
+    }
+
+    const reason = this._staleReason(lockData);
+    if (!reason) {
+      return false;
+    }
+    return await this._removeHolder(content, `Removing stale lock file (${reason}, holder: pid ${lockData.pid})`);
+  }
+
+  /**
+   * Delete the lock file only if it still has the content read from it. The file is first renamed
+   * to a name of its own, so another process that took over the same stale lock meanwhile and
+   * created a new lock file can't have it deleted; a lock file that turns out to be newer is put back.
+   * @param {string|undefined} content - Lock file content the stale decision was based on
+   * @param {string} message - Warning printed when the file is removed
+   * @returns {Promise<boolean>} True when the lock may be retried right away
+   * @private
+   */
+  async _removeHolder(content, message) {
+    const stalePath = `${this.lockPath}.${process.pid}-${++staleCounter}.stale`;
+    try {
+      await fs.rename(this.lockPath, stalePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return true; // Removed or taken over meanwhile
+      }
+      throw error;
+    }
+
+    const moved = await fs.readFile(stalePath, 'utf-8').catch(() => null);
+    if (content !== undefined && moved !== content) {
+      // Another process replaced the stale lock with its own in between: hand it back
+      await fs.link(stalePath, this.lockPath).catch(() => {});
+      await fs.unlink(stalePath).catch(() => {});
+      return false;
+    }
+    console.warn(message);
+    await fs.unlink(stalePath).catch(() => {});
+    return true;
+  }
+
+  /**
+   * Why a lock file's holder no longer counts, or null while it does
+   * @private
+   */
+  _staleReason(lockData) {
+    if (lockData.hostname === os.hostname() && !processAlive(lockData.pid)) {
+      return 'holder process exited';
+    }
+    const lockAge = Date.now() - new Date(lockData.acquiredAt).getTime();
+    if (this.staleTimeout !== null && lockAge > this.staleTimeout) {
+      return `age: ${lockAge}ms`;
+    }
+    return null;
+  }
+
   /**
    * Sleep helper
    * @private
@@ -132,4 +258,31 @@ export class FileLock {
   }
 }
 
+/**
+ * In-process mutex with FileLock's withLock() interface, for state owned by a single process
+ * (e.g. a journaled manifest held in memory by the runner)
+ */
+export class MemoryLock {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Execute a function once every earlier caller's function has finished
+   * @param {Function} fn - Async function to execute
+   * @returns {Promise<T>} Result of fn
+   */
+  async withLock(fn) {
+    const previous = this.tail;
+    let release;
+    this.tail = new Promise(resolve => { release = resolve; });
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+}
+
 export default FileLock;
@@ -0,0 +1,139 @@
+/**
+ * Prompt templating utilities
+ *
+ * Template syntax:
+ *   {pans|zooms|orbits}  inline wildcard list (slot recorded as "#1", "#2", ...)
+ *   {subject}            variable; a string substitutes directly, an array is a wildcard list
+ */
+
+const SLOT_PATTERN = /\{([^{}]+)\}/g;
+
+/**
+ * Check whether a prompt contains template slots
+ */
+export function isTemplate(text) {
+  return /\{[^{}]+\}/.test(text);
+}
+
+/**
+ * Parse a template into literal parts and slots
+ * @param {string} template - Template text
+ * @param {Object<string, string|string[]>} variables - Variable values
+ * @returns {{parts: string[], slots: Array<{key: string, options: string[]}>}}
+ *   parts.length === slots.length + 1
+ * @throws {Error} If a slot references an unknown variable or has no options
+ */
+export function parseTemplate(template, variables = {}) {
+  const parts = [];
+  const slots = [];
+  let lastIndex = 0;
+  let inlineCount = 0;
+
+  for (const match of template.matchAll(SLOT_PATTERN)) {
+    parts.push(template.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const body = match[1].trim();
+    let slot;
+    if (body.includes('|')) {
+      inlineCount++;
+      slot = { key: `#${inlineCount}`, options: body.split('|').map(option => option.trim()) };
+    } else if (Object.prototype.hasOwnProperty.call(variables, body)) {
+      const value = variables[body];
+      slot = { key: body, options: Array.isArray(value) ? value.map(String) : [String(value)] };
+    } else {
+      throw new Error(`Unknown template variable "{${body}}" in prompt "${template}"`);
+    }
+
+    if (slot.options.length === 0) {
+      throw new Error(`Template slot "{${body}}" has no options`);
+    }
+    slots.push(slot);
+  }
+  parts.push(template.slice(lastIndex));
+
+  return { parts, slots };
+}
+
+/**
+ * Render a parsed template with one option index per slot
+ * @private
+ */
+function render(parsed, optionIndexes) {
+  const choices = {};
+  let prompt = parsed.parts[0];
+  parsed.slots.forEach((slot, i) => {
+    const value = slot.options[optionIndexes[i]];
+    choices[slot.key] = value;
+    prompt += value + parsed.parts[i + 1];
+  });
+  return { prompt: prompt.replace(/\s+/g, ' ').trim(), choices };
+}
+
+/**
+ * Number of distinct prompts a template expands into
+ */
+export function countCombinations(template, variables = {}) {
+  const { slots } = parseTemplate(template, variables);
+  return slots.reduce((product, slot) => product * slot.options.length, 1);
+}
+
+/**
+ * Expand a template into every combination (cartesian product, first slot varies slowest)
+ * @returns {Array<{prompt: string, choices: Object<string, string>}>}
+ */
+export function expandAll(template, variables = {}) {
+  const parsed = parseTemplate(template, variables);
+  const results = [];
+  const indexes = new Array(parsed.slots.length).fill(0);
+
+  while (true) {
+    results.push(render(parsed, indexes));
+
+    // Advance the last slot first, carrying leftwards
+    let pos = parsed.slots.length - 1;
+    while (pos >= 0) {
+      indexes[pos]++;
+      if (indexes[pos] < parsed.slots[pos].options.length) break;
+      indexes[pos] = 0;
+      pos--;
+    }
+    if (pos < 0) break;
+  }
+
+  return results;
+}
+
+/**
+ * Pick one random option per slot
+ * @param {Function} rng - Random number generator returning [0, 1)
+ * @returns {{prompt: string, choices: Object<string, string>}}
+ */
+export function sample(template, variables = {}, rng = Math.random) {
+  const parsed = parseTemplate(template, variables);
+  const indexes = parsed.slots.map(slot => Math.floor(rng() * slot.options.length));
+  return render(parsed, indexes);
+}
+
+/**
+ * Create a seeded random number generator (mulberry32) so sampled prompts are reproducible
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a random seed for when none is configured
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x7FFFFFFF);
+}
@@ -0,0 +1,56 @@
+/**
+ * Rate-limit message utilities
+ *
+ * Understood reset hints (case-insensitive, anywhere in the toast text):
+ *   "try again in 2 hours", "in 45 minutes", "in 1h 30m", "in 90 seconds"
+ *   "resets at 3:45 PM", "available at 15:45"
+ */
+
+const UNIT_MS = {
+  h: 60 * 60 * 1000,
+  m: 60 * 1000,
+  s: 1000,
+};
+
+const AMOUNT = String.raw`\d+(?:\.\d+)?\s*(?:hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b`;
+const RELATIVE_PATTERN = new RegExp(String.raw`\bin\s+(${AMOUNT}(?:(?:\s*,\s*|\s+and\s+|\s+)${AMOUNT})*)`, 'i');
+const RELATIVE_PART_PATTERN = /(\d+(?:\.\d+)?)\s*(h|m|s)/gi;
+const CLOCK_PATTERN = /\bat\s+(\d{1,2}):(\d{2})\s*(am|pm)?\b/i;
+
+/**
+ * Time until a rate limit resets, from the hint in a rate-limit message
+ * @param {string|null} message - Rate-limit toast text (e.g. "RATE_LIMIT: Try again in 2 hours")
+ * @param {Date} [now] - Reference time
+ * @returns {number|null} Milliseconds until the reset, or null when the message has no hint
+ */
+export function parseResetHint(message, now = new Date()) {
+  if (!message) return null;
+
+  const relative = message.match(RELATIVE_PATTERN);
+  if (relative) {
+    let ms = 0;
+    for (const [, amount, unit] of relative[1].matchAll(RELATIVE_PART_PATTERN)) {
+      ms += parseFloat(amount) * UNIT_MS[unit.toLowerCase()];
+    }
+    return Math.round(ms);
+  }
+
+  const clock = message.match(CLOCK_PATTERN);
+  if (clock) {
+    let hours = parseInt(clock[1], 10);
+    const minutes = parseInt(clock[2], 10);
+    const meridiem = clock[3]?.toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+
+    const reset = new Date(now);
+    reset.setHours(hours, minutes, 0, 0);
+    if (reset <= now) {
+      reset.setDate(reset.getDate() + 1); // Next occurrence of that time
+    }
+    return reset.getTime() - now.getTime();
+  }
+
+  return null;
+}